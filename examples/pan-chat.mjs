@@ -6,7 +6,7 @@
  *
  * Flow:
  *  1) connect()  -> receive helo
- *  2) decide trust (app-side)
+ *  2) trust check (agent-side, see trustPolicy)
  *  3) authenticate() using Vouchsafe token
  *  4) join_group()
  *  5) interactive chat
@@ -20,7 +20,7 @@ import fs from "node:fs";
 import readline from "node:readline";
 import process from "node:process";
 
-import PanAgent from "../pan-agent.js";
+import PanAgent, { peer_key } from "../pan-agent-node.js";
 import {
     Identity,
     validateVouchToken,
@@ -94,40 +94,34 @@ function formatFrom(msg) {
 }
 
 /* ------------------------------------------------------------ */
-/* Trust decision                                               */
+/* Trust policy                                                 */
 /* ------------------------------------------------------------ */
 
-async function decideTrust(heloMsg) {
-    const payload = heloMsg.payload || {};
-    const serverUrn = payload.i_am;
-    const heloToken = payload.helo_token;
-
+// The agent checks every helo against this before sending credentials
+function trustPolicy() {
     const allow = (process.env.PAN_TRUST_URNS || "")
         .split(",")
         .map(s => s.trim())
         .filter(Boolean);
 
-    if (allow.length > 0 && !allow.includes(serverUrn)) {
-        console.error(`[trust] server URN not allowlisted: ${serverUrn}`);
-        return false;
-    }
-
-    if (heloToken) {
-        try {
-            const decoded = await validateVouchToken(heloToken);
-            const appClaims = getAppClaims(decoded);
-
-            if (appClaims?.purpose && appClaims.purpose !== "agent-helo") {
-                console.error(`[trust] unexpected helo purpose: ${appClaims.purpose}`);
-                return false;
+    return {
+        allow: allow.length > 0 ? allow : undefined,
+        pin: true,
+        verifier: async (helo) => {
+            if (!helo.helo_token) return true;
+            try {
+                const decoded = await validateVouchToken(helo.helo_token);
+                const appClaims = getAppClaims(decoded);
+
+                if (appClaims?.purpose && appClaims.purpose !== "agent-helo") {
+                    return `unexpected helo purpose: ${appClaims.purpose}`;
+                }
+            } catch (e) {
+                return `invalid helo token: ${e.message}`;
             }
-        } catch (e) {
-            console.error(`[trust] invalid helo token: ${e.message}`);
-            return false;
-        }
-    }
-
-    return true;
+            return true;
+        },
+    };
 }
 
 /* ------------------------------------------------------------ */
@@ -171,7 +165,6 @@ async function main() {
     let nick = identity.urn.split(/[:\.]/)[2]
     let myName = args.nickname || nick;
     let myStatus = 'online'; 
-    const peerStatus = new Map();
 
     const agent = new PanAgent({
         url: args.url,
@@ -180,14 +173,35 @@ async function main() {
         default_ttl: args.ttl ?? 8,
         max_ttl: 32,
         debug: false,
+        reconnect: { max_attempts: 10 },
+        keepalive: true,
+        token_provider: ({ reconnect }) => mintAuthToken(identity, reconnect),
+        trust: trustPolicy(),
     });
 
-    agent.on("connected", () => {
-        console.log(`[net] connected to ${args.url}`);
+    agent.on("trust_rejected", ({ urn, reason }) => {
+        console.log(`[trust] rejected ${urn || "(missing)"}: ${reason}; disconnecting`);
+        process.exit(1);
+    });
+
+    agent.on("connected", ({ url }) => {
+        console.log(`[net] connected to ${url}`);
     });
 
     agent.on("disconnected", (info) => {
         console.log(`[net] disconnected code=${info.code} reason=${info.reason}`);
+    });
+
+    agent.on("reconnecting", (info) => {
+        console.log(`[net] reconnecting (attempt ${info.attempt}) in ${info.delay}ms`);
+    });
+
+    agent.on("reconnected", (info) => {
+        console.log(`[net] reconnected conn=${shortId(info.conn_id)}`);
+    });
+
+    agent.on("reconnect_failed", () => {
+        console.log("[net] giving up on reconnect");
         process.exit(1);
     });
 
@@ -202,77 +216,57 @@ async function main() {
     let { data } = await agent.waitFor('helo');
     
     console.log(`[net] got Helo`);
-    // decide trust:
+    // helo only arrives once the node has passed our trust policy
     console.log(`[helo] server=${data.payload.i_am || "(missing)"}`);
     console.log(`[helo] token=${data.payload.helo_token ? "present" : "missing"}`);
-
-    const trusted = await decideTrust(data);
-    if (!trusted) {
-        console.log("[trust] rejected; disconnecting");
-        agent.close(1000, "untrusted server");
-        process.exit(1);
-    }
-
     console.log("[trust] accepted");
     
-    // trigger authentication
+    // authenticate; the agent re-authenticates with fresh tokens from the
+    // token_provider before these expire
     const authToken = await mintAuthToken(identity, args.reconnectConnId);
-    const authInfo = agent.authenticate({ token: authToken });
-
-    const authResult = await agent.waitFor(['auth_success', 'auth_failed'], { timeout: 6000 });
-
-    if (authResult.event == 'auth_failed') {
-        console.log('Authorization failed: ', msg.payload.message);
+    let authReply;
+    try {
+        authReply = await agent.authenticate({ token: authToken });
+    } catch (e) {
+        console.log('Authorization failed: ', e.message);
         agent.close(1000, "Authorization failed");
         process.exit(1);
-    } else if (authResult.event == 'auth_success') {
-        // authentication succeeded.
-        console.log(
-            `[auth] ok node=${shortId(authResult.data.payload.node_id)} ` +
-            `conn=${shortId(authResult.data.payload.conn_id)}`
-        );
-        console.log(`[auth] agent=${identity.urn}`);
-        // trigger group join
-        group = agent.join_group(args.group, {
-            chat: (event) => {
-                const payload = JSON.parse(new TextDecoder().decode(event.message.payload));
-                const text = payload?.text ?? String(payload ?? "");
-                const peer_id = event.message.from.node_id + ":" + event.message.from.conn_id;  
-                const peer_status = peerStatus.get(peer_id);
-                let name;
-                if (peer_status) {
-                    name = peer_status.name;
-                } else {
-                    name = formatFrom(event.message);
-                }
-                console.log(`${name}: ${text}`);
-            },
-            status: (event) => {
-                const payload = JSON.parse(new TextDecoder().decode(event.message.payload));
-                const text = payload?.text ?? String(payload ?? "");
-                const peer_id = event.message.from.node_id + ":" + event.message.from.conn_id;  
-                const old_peer_status = peerStatus.get(peer_id);
-                // only show if we get a new status.
-                if (!old_peer_status || old_peer_status.name != payload.name || old_peer_status.text != payload.text) {
-                    peerStatus.set(peer_id, { name: payload.name, text: text });
-                    console.log(`${payload.name} status -> ${text}`);
-                }
-            },
-        });
-
-        console.log(`[group] joining ${args.group}`);
-        let joinResult = await group.waitFor('membership_updated', { 
-            match: (evt) => {
-                return group.get_id() == evt.data.message.payload.group;
-            } 
-        });
-
-        group.send("status", { name: myName, text: myStatus });
-        setInterval(() => {
-            group.send("status", { name: myName, text: myStatus });
-        }, 5000);
-        console.log("[status] set online");
     }
+
+    console.log(
+        `[auth] ok node=${shortId(authReply.payload.node_id)} ` +
+        `conn=${shortId(authReply.payload.conn_id)}`
+    );
+    console.log(`[auth] agent=${identity.urn}`);
+    // trigger group join
+    console.log(`[group] joining ${args.group}`);
+    group = await agent.join_group_async(args.group, {
+        chat: (event) => {
+            const payload = event.payload;
+            const text = payload?.text ?? String(payload ?? "");
+            const peer = event.group.peers.get(peer_key(event.message.from));
+            let name;
+            if (peer?.metadata?.name) {
+                name = peer.metadata.name;
+            } else {
+                name = formatFrom(event.message);
+            }
+            console.log(`${name}: ${text}`);
+        },
+    }, {
+        presence: { interval_ms: 5000, metadata: { name: myName, text: myStatus } },
+    });
+
+    group.on("peer_joined", ({ peer }) => {
+        console.log(`${peer.metadata.name} status -> ${peer.metadata.text}`);
+    });
+    group.on("peer_updated", ({ peer }) => {
+        console.log(`${peer.metadata.name} status -> ${peer.metadata.text}`);
+    });
+    group.on("peer_left", ({ peer, reason }) => {
+        console.log(`${peer.metadata.name} status -> offline (${reason})`);
+    });
+    console.log("[status] set online");
     /* ---------------- INTERACTIVE LOOP ---------------- */
 
     const rl = readline.createInterface({
@@ -287,13 +281,9 @@ async function main() {
         if (quitting) return;
         quitting = true;
 
-        try {
-            myStatus = "offline";
-            await group.send("status", { name: myName, text: myStatus });
-            console.log("[status] set offline");
-        } catch {}
-
+        // closing announces that we are leaving
         agent.close(1000, "quit");
+        console.log("[status] set offline");
         rl.close();
         process.exit(0);
     }
@@ -315,14 +305,14 @@ async function main() {
         if (s.startsWith("/status")) {
             const text = s.slice(7).trim() || "online";
             myStatus = text;
-            await group.send("status", { name: myName, text: myStatus });
+            group.set_presence_metadata({ name: myName, text: myStatus });
             console.log(`[status] set ${text}`);
             return;
         }
         if (s.startsWith("/nick")) {
             const text = s.slice(5).trim() || "online";
             myName = text;
-            await group.send("status", { name: myName, text: myStatus });
+            group.set_presence_metadata({ name: myName, text: myStatus });
             console.log(`[status] set ${text}`);
             return;
         }
@@ -0,0 +1,30 @@
+// pan-agent-node.js
+//
+// Node.js entry point for the PAN agent.
+//
+// The core in pan-agent.js only relies on web platform globals (WebSocket,
+// crypto, TextEncoder). Node only gained a global WebSocket in v22, so here
+// we install the optional `ws` package when it is available and fall back
+// to the global otherwise.
+//
+
+import { set_websocket_implementation } from "./pan-transport.js";
+import { set_webcrypto } from "./pan-encryption.js";
+
+try {
+    const { default: WebSocket } = await import("ws");
+    set_websocket_implementation(WebSocket);
+} catch (e) {
+    // ws is an optional dependency; connect() reports it if nothing is usable
+}
+
+// Node only exposes WebCrypto globally from v19. Random UUIDs (here and in
+// the uuid package) come from the global too, so install it where missing.
+if (!globalThis.crypto?.subtle) {
+    const { webcrypto } = await import("node:crypto");
+    set_webcrypto(webcrypto);
+    if (!globalThis.crypto) globalThis.crypto = webcrypto;
+}
+
+export * from "./pan-agent.js";
+export { default } from "./pan-agent.js";
@@ -13,9 +13,7 @@
 //   - EventEmitter interface for lifecycle + message events
 //
 
-import WebSocket from "ws";
-import crypto from "crypto";
-import { v5 as uuidv5, validate as isUuid } from "uuid";
+import { v4 as uuidv4, v5 as uuidv5, validate as isUuid } from "uuid";
 import { 
     PAN_ENCODING_BINARY,
     PAN_ENCODING_JSON,
@@ -29,11 +27,207 @@ import {
     decodePacket,
 } from '@ionzero/pan-util';
 import { attachDispatcher } from '@ionzero/dispatcher';
+import { WebSocketTransport } from './pan-transport.js';
+import { BUILTIN_CODECS, to_bytes } from './pan-codec.js';
+import { Reassembler, is_fragment, split_payload } from './pan-fragment.js';
+import { GroupKeyring } from './pan-encryption.js';
+import { SIGNING_POLICIES, is_signed, signing_input, unwrap_signed, wrap_signed } from './pan-signing.js';
+import { compile_schema } from './pan-schema.js';
+import { RateLimiter, create_bucket } from './pan-rate-limit.js';
+import { RollingRate, RttTracker, render_prometheus } from './pan-stats.js';
+import { PacketRecorder } from './pan-recorder.js';
+import { NodeList } from './pan-nodes.js';
+import { check_trust, normalize_trust_opts } from './pan-trust.js';
+
+export {
+    WebSocketTransport,
+    LoopbackTransport,
+    set_websocket_implementation,
+} from './pan-transport.js';
 
 function nowMs() {
     return Date.now();
 }
 
+function random_uuid() {
+    if (typeof globalThis.crypto?.randomUUID == 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return uuidv4();
+}
+
+const text_encoder = new TextEncoder();
+
+function byte_length(data) {
+    if (typeof data == 'string') return text_encoder.encode(data).length;
+    return data.byteLength ?? data.length ?? 0;
+}
+
+const ENCODINGS = {
+    json: PAN_ENCODING_JSON,
+    binary: PAN_ENCODING_BINARY,
+};
+
+// accepts "json" / "binary" or the PAN_ENCODING_* constants
+function normalize_encoding(encoding) {
+    if (encoding === PAN_ENCODING_JSON || encoding === PAN_ENCODING_BINARY) return encoding;
+    const found = ENCODINGS[String(encoding).toLowerCase()];
+    if (found === undefined) throw new Error("Unknown encoding: " + encoding);
+    return found;
+}
+
+function encoding_name(encoding) {
+    if (encoding === PAN_ENCODING_BINARY) return "binary";
+    if (encoding === PAN_ENCODING_JSON) return "json";
+    return "unknown";
+}
+
+const QUEUE_DEFAULTS = {
+    max_messages: 1000,
+    max_bytes: 4 * 1024 * 1024,
+    max_age_ms: 30000,
+    high_water_mark: 1024 * 1024,
+    poll_interval_ms: 50,
+};
+
+const KEEPALIVE_MODES = ["control", "transport"];
+
+const KEEPALIVE_DEFAULTS = {
+    mode: "control",
+    interval_ms: 15000,
+    timeout_ms: 45000,
+    rtt_samples: 20,
+};
+
+// keepalive may be `true` (use defaults) or an object overriding any of
+// KEEPALIVE_DEFAULTS. Anything falsy disables it.
+function normalize_keepalive_opts(keepalive) {
+    if (!keepalive) return null;
+    const opts = { ...KEEPALIVE_DEFAULTS, ...(keepalive === true ? {} : keepalive) };
+    if (!KEEPALIVE_MODES.includes(opts.mode)) throw new Error("Unknown keepalive mode: " + opts.mode);
+    if (opts.timeout_ms <= opts.interval_ms) throw new Error("keepalive timeout_ms must be longer than interval_ms");
+    return opts;
+}
+
+function normalize_queue_opts(queue) {
+    if (!queue) return null;
+    if (queue === true) return { ...QUEUE_DEFAULTS };
+    return { ...QUEUE_DEFAULTS, ...queue };
+}
+
+const DEDUP_DEFAULTS = {
+    window_ms: 60000,
+    max_entries: 10000,
+};
+
+// Recently seen msg_ids, oldest first. Bounded by age and by count.
+class RecentIds {
+    constructor(opts) {
+        this.window_ms = opts.window_ms;
+        this.max_entries = opts.max_entries;
+        this.seen = new Map(); // msg_id -> first seen
+    }
+
+    // true if id was seen within the window, otherwise records it
+    check(id, now = nowMs()) {
+        this.prune(now);
+        if (this.seen.has(id)) return true;
+        this.seen.set(id, now);
+        if (this.seen.size > this.max_entries) {
+            this.seen.delete(this.seen.keys().next().value);
+        }
+        return false;
+    }
+
+    prune(now) {
+        for (const [id, seen_at] of this.seen) {
+            if (now - seen_at <= this.window_ms) break;
+            this.seen.delete(id);
+        }
+    }
+}
+
+// signing: { signer, verifier, policy }. Either half may be left out to
+// only sign or only verify.
+function normalize_signing_opts(signing) {
+    if (!signing) return null;
+    const policy = signing.policy ?? "drop";
+    if (!SIGNING_POLICIES.includes(policy)) throw new Error("Unknown signing policy: " + policy);
+    if (signing.signer && typeof signing.signer.sign != 'function') {
+        throw new Error("signing.signer must provide sign()");
+    }
+    if (signing.verifier && typeof signing.verifier != 'function') {
+        throw new Error("signing.verifier must be a function");
+    }
+    return { signer: signing.signer || null, verifier: signing.verifier || null, policy };
+}
+
+// setTimeout delays are 32 bit; anything longer fires straight away
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Connection states, and the states each may move to. Every state can drop
+// back to DISCONNECTED. An auth.ok we stopped waiting for still
+// authenticates us, as does one replayed into a replay agent (which never
+// sends auth), hence CONNECTED_UNTRUSTED -> AUTHENTICATED.
+export const STATE_TRANSITIONS = {
+    DISCONNECTED: ["CONNECTING"],
+    CONNECTING: ["CONNECTED_UNTRUSTED", "DISCONNECTED"],
+    CONNECTED_UNTRUSTED: ["AUTHENTICATING", "AUTHENTICATED", "DISCONNECTED"],
+    AUTHENTICATING: ["AUTHENTICATED", "CONNECTED_UNTRUSTED", "DISCONNECTED"],
+    AUTHENTICATED: ["CONNECTED_UNTRUSTED", "DISCONNECTED"],
+};
+
+const RECONNECT_DEFAULTS = {
+    initial_delay_ms: 500,
+    max_delay_ms: 30000,
+    factor: 2,
+    jitter: 0.5,
+    max_attempts: Infinity,
+};
+
+// reconnect option may be `true` (use defaults) or an object overriding
+// any of RECONNECT_DEFAULTS. Anything falsy disables reconnection.
+function normalize_reconnect_opts(reconnect) {
+    if (!reconnect) return null;
+    if (reconnect === true) return { ...RECONNECT_DEFAULTS };
+    return { ...RECONNECT_DEFAULTS, ...reconnect };
+}
+
+// exponential backoff, with up to `jitter` fraction of the delay removed at
+// random so a node restart doesn't get hit by every agent at the same moment.
+function backoff_delay(opts, attempt) {
+    const base = Math.min(
+        opts.max_delay_ms,
+        opts.initial_delay_ms * Math.pow(opts.factor, attempt - 1)
+    );
+    return Math.round(base - (base * opts.jitter * Math.random()));
+}
+
+// When a JWT (a Vouchsafe token, say) expires, in ms, from its exp claim
+function jwt_expiry(token) {
+    if (typeof token != 'string') return null;
+    const parts = token.split(".");
+    if (parts.length != 3) return null;
+    try {
+        const claims = JSON.parse(atob(parts[1].replace(/-/g, "+").replace(/_/g, "/")));
+        return typeof claims.exp == 'number' ? claims.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+// When credentials expire: their expires_at if the token_provider gave
+// one, otherwise the earliest exp of any JWT among them.
+function credentials_expiry(creds) {
+    if (creds?.expires_at) return creds.expires_at;
+    let earliest = null;
+    for (const token of [creds?.token, ...(creds?.tokens || [])]) {
+        const exp = jwt_expiry(token);
+        if (exp !== null && (earliest === null || exp < earliest)) earliest = exp;
+    }
+    return earliest;
+}
+
 function get_uuid_for(str, namespace) {
    if (isUuid(namespace)) {
         return uuidv5(str, namespace); 
@@ -44,6 +238,19 @@ function get_uuid_for(str, namespace) {
     }
 }
 
+// agents are addressed by node and connection; this is the key for one in
+// agent.peers and group.peers
+export function peer_key(address) {
+    return address.node_id + ":" + address.conn_id;
+}
+
+// Presence heartbeats travel on this reserved message type
+const PRESENCE_MESSAGE_TYPE = "pan.presence";
+const PRESENCE_DEFAULTS = {
+    interval_ms: 5000,
+    missed_heartbeats: 3,
+};
+
 /** PanGroup */
 export class PanGroup {
 
@@ -68,6 +275,36 @@ export class PanGroup {
         this.#namespace = options.namespace;
         this.name = options.name;
         this.message_types = new Map();
+        // message type id -> name, for the ones we've seen by name
+        this.type_names = new Map();
+
+        // payload codecs: group default, plus per message type id overrides
+        this.codec = options.codec || null;
+        this.type_codecs = new Map();
+
+        // payload validators per message type id (see pan-schema.js)
+        this.type_schemas = new Map();
+
+        // outbound rate limits for the group and per message type id
+        this.rate_limit = null;
+        this.type_rate_limits = new Map();
+
+        // middleware for this group's broadcasts (see PanAgent.use_inbound)
+        this.middleware = { in: [], out: [] };
+
+        // end-to-end encryption (off until enable_encryption()). Sealing and
+        // opening are async, so each direction is chained to keep order.
+        this.keyring = null;
+        this._outbound_chain = Promise.resolve();
+        this._inbound_chain = Promise.resolve();
+
+        // set false to have duplicate broadcasts delivered anyway
+        this.dedup = options.dedup ?? true;
+
+        // presence (off until enable_presence()), peers keyed by node_id:conn_id
+        this.presence = null;
+        this.presence_timer = null;
+        this.peers = new Map();
 
         // if we are given a group uuid, we use it as is.
         // if we are given something else, we create a uuidv5 with our namespace
@@ -82,13 +319,173 @@ export class PanGroup {
         return this.#id;
     }
 
+    get_message_type_id(message_type) {
+        if (isUuid(message_type)) return message_type;
+        const message_type_id = get_uuid_for(message_type, this.#namespace);
+        this.type_names.set(message_type_id, message_type);
+        return message_type_id;
+    }
+
+    get_message_type_name(message_type_id) {
+        return this.type_names.get(message_type_id) ?? null;
+    }
+
+    // Set the codec used for a message type, whether or not we handle it.
+    set_message_codec(message_type, codec) {
+        this.type_codecs.set(this.get_message_type_id(message_type), codec);
+    }
+
+    // Validate payloads of a message type, both sent and received. Pass
+    // null to stop validating it.
+    set_message_schema(message_type, schema) {
+        const message_type_id = this.get_message_type_id(message_type);
+        if (schema == null) {
+            this.type_schemas.delete(message_type_id);
+        } else {
+            this.type_schemas.set(message_type_id, compile_schema(schema));
+        }
+    }
+
+    /** Add middleware for broadcasts received from this group */
+    use_inbound(fn) {
+        if (typeof fn != 'function') throw new Error("Middleware must be a function");
+        this.middleware.in.push(fn);
+    }
+
+    /** Add middleware for broadcasts sent to this group */
+    use_outbound(fn) {
+        if (typeof fn != 'function') throw new Error("Middleware must be a function");
+        this.middleware.out.push(fn);
+    }
+
+    // Limit how fast we send to this group (see pan-rate-limit.js). Pass
+    // null to remove the limit.
+    set_rate_limit(limit) {
+        this.rate_limit = create_bucket(limit);
+    }
+
+    set_message_rate_limit(message_type, limit) {
+        const message_type_id = this.get_message_type_id(message_type);
+        const bucket = create_bucket(limit);
+        if (bucket) {
+            this.type_rate_limits.set(message_type_id, bucket);
+        } else {
+            this.type_rate_limits.delete(message_type_id);
+        }
+    }
+
+    // Returns a list of problems with payload, empty if it's valid
+    validate_payload(message_type_id, payload) {
+        const validate = this.type_schemas.get(message_type_id);
+        return validate ? validate(payload) : [];
+    }
+
+    get_message_codec(message_type_id) {
+        return this.agent.resolve_codec(
+            this.type_codecs.get(message_type_id) || this.codec || this.agent.codec
+        );
+    }
+
     send(message_type, payload, opts = {}) {
-        let message_type_id = message_type;
-        if (!isUuid(message_type)) {
-            message_type_id = get_uuid_for(message_type, this.#namespace); 
+        const msg = this.build_message(message_type, payload, opts);
+        if (!this.has_async_send()) {
+            this.agent.send_msg(msg);
+            return msg;
+        }
+        // signed or encrypted payloads go out once they are ready
+        this.prepare_and_send(msg, (m) => this.agent.send_msg(m)).catch((e) => {
+            const evt = { group: this, message: msg, error: e };
+            this.agent.stats.errors.send_errors++;
+            this.emit('send_failed', evt);
+            this.agent.emit('send_failed', evt);
+        });
+        return msg;
+    }
+
+    // Like send(), but resolves with the message once it has been handed to
+    // the transport (it may sit in the outbound queue until then).
+    async send_async(message_type, payload, opts = {}) {
+        const msg = this.build_message(message_type, payload, opts);
+        if (!this.has_async_send()) {
+            await this.agent.send_msg_async(msg);
+        } else {
+            await this.prepare_and_send(msg, (m) => this.agent.send_msg_async(m));
+        }
+        return msg;
+    }
+
+    has_async_send() {
+        return !!this.keyring || !!this.agent.signing?.signer;
+    }
+
+    // Sign, then encrypt. Both are async, so sends are chained to keep them
+    // in order.
+    prepare_and_send(msg, send) {
+        const key_id = this.keyring?.current;
+        const step = this._outbound_chain.then(async () => {
+            msg.payload = await this.agent.sign_payload(msg);
+            if (this.keyring) {
+                msg.payload = await this.keyring.seal(msg.payload, this.aad_for(msg.to.message_type), key_id);
+            }
+            return send(msg);
+        });
+        this._outbound_chain = step.catch(() => {});
+        return step;
+    }
+
+    // sealed payloads are bound to this group and their message type
+    aad_for(message_type_id) {
+        return this.#id + ":" + message_type_id;
+    }
+
+    // enable_encryption({ key_id, key } | { key_id, secret } | { keys: [...], current })
+    // Once enabled, everything sent to or received from this group is
+    // encrypted; unencrypted messages are rejected.
+    enable_encryption(opts = {}) {
+        if (!this.keyring) this.keyring = new GroupKeyring(this.#id);
+        const keys = opts.keys || [opts];
+        const added = keys.map((k) => this.keyring.add_key(k.key_id ?? "default", k));
+        if (opts.current !== undefined) {
+            this.keyring.set_current(opts.current);
+        }
+        const done = Promise.all(added);
+        done.catch((e) => {
+            console.error('Unable to set up encryption for group: ', this.name, e);
+        });
+        return done;
+    }
+
+    // Key rotation: add the new key everywhere first, then make it current.
+    // Old keys stay usable for decryption until removed.
+    add_key(key_id, material, opts = {}) {
+        if (!this.keyring) this.keyring = new GroupKeyring(this.#id);
+        return this.keyring.add_key(key_id, material, opts);
+    }
+
+    set_current_key(key_id) {
+        if (!this.keyring) throw new Error("Encryption is not enabled for this group");
+        this.keyring.set_current(key_id);
+    }
+
+    remove_key(key_id) {
+        this.keyring?.remove_key(key_id);
+    }
+
+    build_message(message_type, payload, opts = {}) {
+        // with an outbound queue, group messages wait for authentication
+        if (!this.agent.outbound_queue) this.agent.require_state("AUTHENTICATED", "send()");
+        const message_type_id = this.get_message_type_id(message_type);
+        const errors = this.validate_payload(message_type_id, payload);
+        if (errors.length) {
+            this.agent.stats.msgs_out_invalid++;
+            const err = new Error("Invalid payload for message type " + message_type + ": " + errors.join("; "));
+            err.errors = errors;
+            throw err;
         }
+        const codec = opts.codec ? this.agent.resolve_codec(opts.codec) : this.get_message_codec(message_type_id);
         
         const msg = {
+            msg_id: random_uuid(),
             type: "broadcast",
             spread: opts.spread || opts.ttl,
             ttl: opts.ttl, // if ttl is not defined, the agent will set it appropriately
@@ -96,23 +493,25 @@ export class PanGroup {
                 group_id: this.#id,
                 message_type: message_type_id,
             },
-            payload,
+            payload: codec.encode(payload),
         };
-        this.agent.send_msg(msg);
         return msg;
     }
 
-    add_message_handler(message_type, fn) {
-        let message_type_id = message_type;
-        if (!isUuid(message_type)) {
-            message_type_id = get_uuid_for(message_type, this.#namespace); 
-        }
+    add_message_handler(message_type, fn, opts = {}) {
+        const message_type_id = this.get_message_type_id(message_type);
 
         this.message_types.set(message_type, {
             name: message_type,
             id: message_type_id,
             fn: fn
         });
+        if (opts.codec) {
+            this.type_codecs.set(message_type_id, opts.codec);
+        }
+        if (opts.schema) {
+            this.type_schemas.set(message_type_id, compile_schema(opts.schema));
+        }
 
         this.on(message_type_id, fn);
         // Updates to message handlers are not automatic, you must call update_group_membership
@@ -120,39 +519,248 @@ export class PanGroup {
     }
 
     remove_message_handler(message_type) {
-        let message_type_id = message_type;
-        if (!isUuid(message_type)) {
-            message_type_id = get_uuid_for(message_type, this.#namespace); 
-        }
+        const message_type_id = this.get_message_type_id(message_type);
         this.message_types.delete(message_type);
         this.off(message_type_id);
     }
 
     // update_group_membership() 
     // Sync's the current group/message type setup to the node via join_group
-    update_group_membership() {
+    // Returns a promise resolved by the join_group_reply. Joins already in
+    // flight for this group share that promise; it is only sent again if
+    // the message types changed in the meantime.
+    update_group_membership(opts = {}) {
+        const wrong_state = this.membership_state_error("update_group_membership()");
+        if (wrong_state) return Promise.reject(wrong_state);
         let message_type_ids = [];
         this.message_types.forEach( (msg_type_object, key) => {
             message_type_ids.push(msg_type_object.id);
         })
-        const msg = this.agent.createControlMessage("join_group", { group: this.#id, message_types: message_type_ids });
-        this.agent.send_msg(msg);
+        const key = [...message_type_ids].sort().join(",");
+        // joining again while a leave is in flight: the node sees the join
+        // after the leave, so its reply mustn't tear the group down
+        const leaving = this.agent.pendingLeaves.get(this.#id);
+        if (leaving) leaving.rejoined = true;
+        const pending = this.agent.pending_request(this.agent.pendingJoins, this.#id, "join_group", opts.timeout_ms);
+        if (pending.key !== key) {
+            const msg = this.agent.createControlMessage("join_group", { group: this.#id, message_types: message_type_ids });
+            if (this.agent.send_pending_request(this.agent.pendingJoins, this.#id, msg)) pending.key = key;
+        }
+        return pending.promise;
+    }
+
+    // Returns a promise resolved by the leave_group_reply
+    leave(opts = {}) {
+        const wrong_state = this.membership_state_error("leave()");
+        if (wrong_state) return Promise.reject(wrong_state);
+        if (this.presence) this.disable_presence();
+        const pending = this.agent.pending_request(this.agent.pendingLeaves, this.#id, "leave_group", opts.timeout_ms);
+        if (!pending.sent) {
+            const msg = this.agent.createControlMessage("leave_group", { group: this.#id });
+            if (this.agent.send_pending_request(this.agent.pendingLeaves, this.#id, msg)) pending.sent = true;
+        }
+        return pending.promise;
+    }
+
+    // Joins and leaves need a session (a replay agent's is recorded). They
+    // return promises, so the wrong state rejects them rather than throws.
+    membership_state_error(action) {
+        if (this.agent.replay_mode) return null;
+        try {
+            this.agent.require_state("AUTHENTICATED", action);
+        } catch (e) {
+            return e;
+        }
+        return null;
+    }
+
+    // enable_presence({ interval_ms, missed_heartbeats, metadata })
+    // Heartbeats on a reserved message type and tracks peers in this.peers.
+    // Like any new handler, call update_group_membership() to sync it.
+    enable_presence(opts = {}) {
+        if (this.presence) {
+            this.disable_presence({ announce: false });
+        }
+        this.presence = {
+            ...PRESENCE_DEFAULTS,
+            ...opts,
+            metadata: opts.metadata ?? {},
+        };
+        this.add_message_handler(PRESENCE_MESSAGE_TYPE, (evt) => this.handle_presence(evt), { codec: "json" });
+        this.presence_timer = setInterval(() => {
+            this.send_presence("alive");
+            this.expire_peers();
+        }, this.presence.interval_ms);
+    }
+
+    // Resolves once the leaving announcement (if any) has gone out
+    disable_presence(opts = {}) {
+        if (!this.presence) return Promise.resolve();
+        const announced = (opts.announce !== false) ? this.send_presence("leaving") : Promise.resolve();
+        clearInterval(this.presence_timer);
+        this.presence_timer = null;
+        this.presence = null;
+        this.remove_message_handler(PRESENCE_MESSAGE_TYPE);
+        this.peers.clear();
+        return announced;
+    }
+
+    set_presence_metadata(metadata) {
+        if (!this.presence) throw new Error("Presence is not enabled for this group");
+        this.presence.metadata = metadata;
+        this.send_presence("alive");
+    }
+
+    // Resolves (never rejects) once the beat has been handed to the
+    // transport, which may wait on signing, middleware, rate limits or
+    // the outbound queue
+    send_presence(state) {
+        if (this.agent.state !== "AUTHENTICATED") return Promise.resolve();
+        return this.send_async(PRESENCE_MESSAGE_TYPE, {
+            state,
+            metadata: this.presence.metadata,
+            interval_ms: this.presence.interval_ms,
+        }, { codec: "json" }).catch((e) => {
+            this.agent._log("Unable to send presence", e.message);
+        });
+    }
+
+    handle_presence(evt) {
+        const from = evt.message.from;
+        if (from.node_id === this.agent.node_id && from.conn_id === this.agent.conn_id) return;
+
+        const key = peer_key(from);
+        const beat = evt.payload || {};
+        let peer = this.peers.get(key);
+
+        if (beat.state === "leaving") {
+            if (peer) {
+                this.peers.delete(key);
+                this.emit('peer_left', { group: this, peer, reason: "left" });
+            }
+            return;
+        }
+
+        const now = nowMs();
+        const metadata = beat.metadata ?? {};
+        if (!peer) {
+            peer = {
+                id: key,
+                node_id: from.node_id,
+                conn_id: from.conn_id,
+                metadata,
+                interval_ms: beat.interval_ms || this.presence.interval_ms,
+                first_seen: now,
+                last_seen: now,
+            };
+            this.peers.set(key, peer);
+            this.emit('peer_joined', { group: this, peer });
+            return;
+        }
+
+        peer.last_seen = now;
+        peer.interval_ms = beat.interval_ms || peer.interval_ms;
+        if (JSON.stringify(metadata) !== JSON.stringify(peer.metadata)) {
+            const previous_metadata = peer.metadata;
+            peer.metadata = metadata;
+            this.emit('peer_updated', { group: this, peer, previous_metadata });
+        }
     }
 
-    leave() {
-        const msg = this.agent.createControlMessage("leave_group", { group: this.#id });
-        this.agent.send_msg(msg);
+    // drop peers we haven't heard from in missed_heartbeats of their intervals
+    expire_peers() {
+        const now = nowMs();
+        for (const [key, peer] of this.peers) {
+            if (now - peer.last_seen > peer.interval_ms * this.presence.missed_heartbeats) {
+                this.peers.delete(key);
+                this.emit('peer_left', { group: this, peer, reason: "expired" });
+            }
+        }
     }
 
     route_group_message(msg) {
+        if (!this.keyring && !this.agent.signing?.verifier) {
+            this.deliver_group_message(msg, this.agent.read_signed(msg));
+            return;
+        }
+        this._inbound_chain = this._inbound_chain
+            .then(() => this.open_group_message(msg))
+            .catch((e) => {
+                console.error('Group message handler failed for group: ', this.name, e);
+            });
+    }
+
+    // decrypt (for encrypted groups) and verify, then deliver
+    async open_group_message(msg) {
+        let plain = msg.payload;
+        if (this.keyring) {
+            try {
+                plain = await this.keyring.open(to_bytes(msg.payload), this.aad_for(msg.to.message_type));
+            } catch (e) {
+                const evt = {
+                    group: this,
+                    message_type: msg.to.message_type,
+                    message: msg,
+                    error: e
+                };
+                this.agent.stats.errors.decrypt_errors++;
+                this.emit('decrypt_failed', evt);
+                this.agent.emit('decrypt_failed', evt);
+                return;
+            }
+        }
+        this.deliver_group_message(msg, await this.agent.check_signature({ ...msg, payload: plain }));
+    }
+
+    // signed is the result of read_signed() / check_signature(): null to
+    // drop the message, otherwise the payload bytes and who signed them.
+    deliver_group_message(msg, signed) {
+        if (!signed) return;
+        msg = { ...msg, payload: signed.payload };
+        let payload;
+        try {
+            payload = this.get_message_codec(msg.to.message_type).decode(msg.payload);
+        } catch (e) {
+            const evt = {
+                group: this,
+                message_type: msg.to.message_type,
+                message: msg,
+                error: e
+            };
+            this.agent.stats.errors.decode_errors++;
+            this.emit('decode_error', evt);
+            this.agent.emit('decode_error', evt);
+            return;
+        }
+        const errors = this.validate_payload(msg.to.message_type, payload);
+        if (errors.length) {
+            this.agent.stats.msgs_in_invalid++;
+            const evt = {
+                group: this,
+                message_type: msg.to.message_type,
+                message: msg,
+                payload,
+                errors,
+                sender: signed.sender,
+                verified: signed.verified
+            };
+            this.emit('invalid_message', evt);
+            this.agent.emit('invalid_message', evt);
+            return;
+        }
         this.emit(msg.to.message_type, {
             group: this,
             message_type: msg.to.message_type,
-            message: msg
+            message: msg,
+            payload,
+            sender: signed.sender,
+            verified: signed.verified
         });
     }
 
     join_complete(msg) {
+        // let everyone know we're here without waiting for the next beat
+        if (this.presence) this.send_presence("alive");
         this.emit('membership_updated', {
             group: this,
             message_type: msg.to.message_type,
@@ -161,6 +769,7 @@ export class PanGroup {
     }
 
     leave_complete(msg) {
+        if (this.presence) this.disable_presence({ announce: false });
         this.message_types.clear();
         this.emit('group_left', {
             group: this,
@@ -171,6 +780,68 @@ export class PanGroup {
 
 }
 
+/** PanPeer - another agent, as seen from this one. See PanAgent.peer() */
+export class PanPeer {
+    constructor(options) {
+        attachDispatcher(this);
+        if (!options.node_id || !options.conn_id) {
+            throw new Error('A peer needs a node_id and conn_id');
+        }
+        this.agent = options.agent;
+        this.node_id = options.node_id;
+        this.conn_id = options.conn_id;
+        this.id = peer_key(options);
+        // set once asked for with agent.peer(); kept peers aren't evicted
+        this.kept = false;
+        this.first_seen = null;
+        this.last_seen = null;
+        this.stats = {
+            msgs_in: 0,
+            msgs_out: 0,
+            bytes_in: 0,
+            bytes_out: 0,
+        };
+    }
+
+    get_address() {
+        return { node_id: this.node_id, conn_id: this.conn_id };
+    }
+
+    /** Send a direct message to this peer */
+    send(message_type, payload, opts = {}) {
+        return this.agent.send_direct(this.get_address(), message_type, payload, opts);
+    }
+
+    send_async(message_type, payload, opts = {}) {
+        return this.agent.send_direct_async(this.get_address(), message_type, payload, opts);
+    }
+
+    /** Handle direct messages of one type from this peer, as agent.on_direct() */
+    on_direct(message_type, fn) {
+        const message_type_id = this.agent.get_message_type_id(message_type);
+        this.on(message_type_id, fn);
+        return message_type_id;
+    }
+
+    off_direct(message_type, fn) {
+        this.off(this.agent.get_message_type_id(message_type), fn);
+    }
+
+    // count a packet to or from this peer
+    count_traffic(direction, size) {
+        this.stats["msgs_" + direction]++;
+        this.stats["bytes_" + direction] += size;
+        if (direction == "in") {
+            this.last_seen = nowMs();
+            if (this.first_seen === null) this.first_seen = this.last_seen;
+        }
+    }
+
+    get_stats() {
+        return { ...this.stats, first_seen: this.first_seen, last_seen: this.last_seen };
+    }
+}
+
 function debug_print_msg(msg) {
     console.log("Msg ID: ", msg.msg_id);
     console.log("Type: ", msg.type);
@@ -183,22 +854,130 @@ function debug_print_msg(msg) {
 export default class PanAgent {
     constructor(opts = {}) {
         attachDispatcher(this);
-        if (!opts.url) throw new Error("PanAgent requires url");
+        const urls = opts.urls ?? (opts.url ? [opts.url] : []);
+        if (!urls.length && !opts.transport && !opts.replay) throw new Error("PanAgent requires url, urls or transport");
         if (!opts.app_id) throw new Error("PanAgent requires app_id");
 
-        this.url = opts.url;
+        // Nodes to connect to, tried in node_selection order until one
+        // accepts us. this.url is the one we are using now.
+        this.nodes = new NodeList(urls.length ? urls : [null], opts.node_selection ?? "ordered");
+        this.url = this.nodes.nodes[0].url;
+        this.connect_timeout = opts.connect_timeout_ms ?? 8000;
+        // Trust policy (opt-in), checked against each node's helo before
+        // any credentials are sent. See pan-trust.js
+        this.trust = normalize_trust_opts(opts.trust);
+        // transport may be a factory (url, agent) => transport, or a
+        // transport instance to use as is.
+        this.transport_factory = opts.transport || null;
         this.app_id = opts.app_id;
         this.namespace = opts.namespace || this.app_id;
+        // Wire encoding. We always start in JSON and only switch to the
+        // preferred encoding once the node advertises it in its helo.
+        this.preferred_encoding = normalize_encoding(opts.encoding ?? PAN_ENCODING_JSON);
         this.encoding = PAN_ENCODING_JSON;
 
+        // Payload codecs, by name. opts.codec is the default for everything
+        // that doesn't specify its own.
+        this.codecs = new Map(Object.entries(BUILTIN_CODECS));
+        this.codec = opts.codec || "json";
+        // per direct message type id overrides
+        this.direct_codecs = new Map();
+
         this.default_ttl = opts.default_ttl ?? 8;
         this.max_ttl = opts.max_ttl ?? 32;
         this.request_timeout = opts.request_timeout_ms ?? 10000;
         this.debug = !!opts.debug;
 
+        // Reconnection (opt-in). The token provider is called with
+        // { reconnect: previous_conn_id } to obtain fresh credentials.
+        this.reconnect_opts = normalize_reconnect_opts(opts.reconnect);
+        this.token_provider = opts.token_provider || null;
+        if (this.reconnect_opts && typeof this.token_provider != 'function') {
+            throw new Error("PanAgent reconnect requires a token_provider function");
+        }
+        // Re-authenticating ahead of credentials expiring, lead_ms early,
+        // with tokens from the token provider. Only with nodes whose helo
+        // lists the "reauth" feature.
+        this.reauth = opts.reauth === false ? null : { lead_ms: 10000, min_delay_ms: 5000, ...opts.reauth };
+        this.credentials_expire_at = null;
+        this._reauth_timer = null;
+        this._reauthenticating = false;
+        this.node_features = new Set();
+        this._reconnecting = false;
+        this._opening_session = false;
+        this._reconnect_timer = null;
+        this._reconnect_wake = null;
+
+        // Keepalive (opt-in). While authenticated we ping every interval_ms,
+        // with control messages or transport level pings, and give the
+        // connection up as dead after timeout_ms without hearing anything.
+        this.keepalive = normalize_keepalive_opts(opts.keepalive);
+        this._keepalive_timer = null;
+        this._ping_sent_at = null;
+        this.last_heard_at = null;
+        this.rtt = new RttTracker(this.keepalive?.rtt_samples);
+
+        // Outbound queue (opt-in). Holds application messages while we are
+        // not authenticated or the transport is backed up.
+        this.outbound_queue = normalize_queue_opts(opts.outbound_queue);
+        this.queue = [];
+        this.queued_bytes = 0;
+        this._queue_timer = null;
+
+        // Outbound rate limits (opt-in): agent wide here, plus any set on
+        // groups and message types. Messages over a limit wait here.
+        this.rate_limit = create_bucket(opts.rate_limit);
+        this.rate_limiter = new RateLimiter({
+            on_release: (entry) => this.release_rate_limited(entry),
+            on_limited: (entry, limit, action) => this.report_rate_limited(entry, limit, action),
+        });
+
+        // Packet recording (opt-in), see pan-recorder.js
+        this.recorder = opts.record ? new PacketRecorder(opts.record) : null;
+        // A replay agent never connects. It takes a recording's helo and
+        // auth.ok as if they came from a node, lets groups be joined up
+        // front, and sends go nowhere (but are recorded).
+        this.replay_mode = !!opts.replay;
+
+        // Middleware for application messages, in registration order. It
+        // may be async, so messages passing through it are chained per
+        // direction to keep their order.
+        this.middleware = { in: [], out: [] };
+        this._middleware_in_chain = Promise.resolve();
+        this._middleware_out_chain = Promise.resolve();
+
+        // Broadcasts can reach us more than once via spread; remember recent
+        // msg_ids so handlers see each one once. dedup: false turns this off.
+        this.recent_ids = (opts.dedup === false) ? null : new RecentIds({ ...DEDUP_DEFAULTS, ...opts.dedup });
+
+        // Payloads too large for one packet are split into fragments and
+        // reassembled on receipt. fragmentation: false makes them an error.
+        this.fragmentation = opts.fragmentation !== false;
+
+        this.reassembler = !this.fragmentation ? null : new Reassembler({
+            ...(typeof opts.fragmentation == 'object' ? opts.fragmentation : {}),
+            on_drop: (transfer, reason) => {
+                this.stats.fragments_dropped++;
+                this.emit("fragment_dropped", {
+                    transfer_id: transfer.transfer_id,
+                    sender: transfer.sender,
+                    received: transfer.received,
+                    count: transfer.count,
+                    reason,
+                });
+            },
+        });
+
+        // Message signing (opt-in). Signing and verifying are async, so
+        // direct messages are chained to keep their order.
+        this.signing = normalize_signing_opts(opts.signing);
+        this._direct_outbound_chain = Promise.resolve();
+        this._direct_inbound_chain = Promise.resolve();
+
         // Internal state
         this.state = "DISCONNECTED";
-        this.ws = null;
+        this.transport = null;
+        this._transport_listeners = null;
 
         // Identity
         this.node_id = NULL_ID;
@@ -211,9 +990,39 @@ export default class PanAgent {
             bytes_in: 0,
             bytes_out: 0,
             msgs_in_total: 0,
+            msgs_in_duplicates: 0,
+            fragments_dropped: 0,
+            msgs_in_unverified: 0,
+            msgs_in_invalid: 0,
+            msgs_out_invalid: 0,
             msgs_out_total: 0,
-            msgs_in_by_type: { direct: 0, group: 0, control: 0, unknown: 0 },
-            msgs_out_by_type: { direct: 0, group: 0, control: 0, unknown: 0 },
+            msgs_out_dropped: 0,
+            msgs_out_rate_limited: 0,
+            msgs_in_by_type: { direct: 0, broadcast: 0, control: 0, unknown: 0 },
+            msgs_out_by_type: { direct: 0, broadcast: 0, control: 0, unknown: 0 },
+            bytes_in_by_encoding: { json: 0, binary: 0, unknown: 0 },
+            bytes_out_by_encoding: { json: 0, binary: 0, unknown: 0 },
+            msgs_in_by_encoding: { json: 0, binary: 0, unknown: 0 },
+            msgs_out_by_encoding: { json: 0, binary: 0, unknown: 0 },
+            // broadcast traffic by group id, then by message type id
+            by_group: {},
+            errors: {
+                bad_packets: 0,
+                transport_errors: 0,
+                protocol_errors: 0,
+                decode_errors: 0,
+                decrypt_errors: 0,
+                send_errors: 0,
+                keepalive_timeouts: 0,
+            },
+        };
+        // rolling rates, reported by get_stats() as stats.rates
+        const stats_opts = opts.stats || {};
+        this.rates = {
+            msgs_in: new RollingRate(stats_opts),
+            msgs_out: new RollingRate(stats_opts),
+            bytes_in: new RollingRate(stats_opts),
+            bytes_out: new RollingRate(stats_opts),
         };
 
         // Groups
@@ -221,88 +1030,492 @@ export default class PanAgent {
         this.pendingJoins = new Map(); // groupId -> {resolve,reject,timeout}
         this.pendingLeaves = new Map();
 
+        // Peers we've exchanged direct messages with, or asked for. Those
+        // nobody asked for are evicted beyond max_peers.
+        this.peers = new Map(); // node_id:conn_id -> PanPeer
+        this.max_peers = opts.max_peers ?? 1000;
+
         this._shouldRun = true;
     }
 
-    setup_websocket() {
-        this.ws.on("message", (data) => {
+    // Move to another state, announcing it with state_change. A move the
+    // transition table doesn't allow is a bug, so it throws.
+    set_state(to, reason) {
+        const from = this.state;
+        if (from === to) return;
+        if (!STATE_TRANSITIONS[from]?.includes(to)) {
+            throw new Error("Invalid state transition " + from + " -> " + to + " (" + reason + ")");
+        }
+        this.state = to;
+        this.emit("state_change", { from, to, reason });
+    }
+
+    // The error for methods called in the wrong state
+    require_state(states, action) {
+        states = Array.isArray(states) ? states : [states];
+        if (states.includes(this.state)) return;
+        const err = new Error(action + " requires state " + states.join(" or ") + ", but the agent is " + this.state);
+        err.state = this.state;
+        throw err;
+    }
+
+    /**
+     * Resolve with the state once the agent is in it, or in any of an
+     * array of states. Rejects if the agent is closed first, or after
+     * opts.timeout_ms.
+     */
+    when(states, opts = {}) {
+        states = Array.isArray(states) ? states : [states];
+        for (const state of states) {
+            if (!STATE_TRANSITIONS[state]) throw new Error("Unknown state: " + state);
+        }
+        if (states.includes(this.state)) return Promise.resolve(this.state);
+        // once closed, DISCONNECTED is the only state still to come
+        if (!this._shouldRun && !states.includes("DISCONNECTED")) return Promise.reject(new Error("Agent closed"));
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                this.off("state_change", on_change);
+                this.off("disconnected", on_disconnected);
+            };
+            const on_change = ({ to }) => {
+                if (!states.includes(to)) return;
+                done();
+                resolve(to);
+            };
+            // only close() stops the agent; a lost connection may come back
+            const on_disconnected = () => {
+                if (this._shouldRun) return;
+                done();
+                reject(new Error("Agent closed"));
+            };
+            this.on("state_change", on_change);
+            this.on("disconnected", on_disconnected);
+            if (opts.timeout_ms) {
+                timer = setTimeout(() => {
+                    done();
+                    reject(new Error("Timed out waiting for state " + states.join(" or ")));
+                }, opts.timeout_ms);
+            }
+        });
+    }
+
+    create_transport(url = this.url) {
+        const factory = this.transport_factory;
+        if (!factory) return new WebSocketTransport(url, { connect_timeout_ms: this.connect_timeout });
+        if (typeof factory == 'function') return factory(url, this);
+        return factory;
+    }
+
+    setup_transport() {
+        const transport = this.transport;
+        const listeners = {};
+
+        listeners.message = (data) => {
+            this.last_heard_at = nowMs();
+            let msg;
+            try {
+                msg = decodePacket(data);
+            } catch (e) {
+                this.stats.errors.bad_packets++;
+                this._log("Bad JSON", e);
+                return;
+            }
+            this.recorder?.record("in", msg);
             try {
-                const msg = decodePacket(data);
-                this.stats.bytes_in += data.length;
+                const size = byte_length(data);
+                const enc = encoding_name(msg.version);
+                this.stats.bytes_in += size;
+                this.stats.bytes_in_by_encoding[enc] += size;
+                this.stats.msgs_in_by_encoding[enc]++;
                 this.stats.msgs_in_total++;
                 const t = msg.type || "unknown";
                 this.stats.msgs_in_by_type[t] =
                     (this.stats.msgs_in_by_type[t] || 0) + 1;
+                this.count_traffic("in", msg, size);
                 // console.log("INBOUND MSG:", msg);
                 this.handle_inbound_message(msg);
             } catch (e) {
-                this._log("Bad JSON", e);
+                this._log("Inbound message failed", e);
             }
-        });
+        };
 
-        this.ws.on("close", (c, r) => {
-            this._log("WS close", c, r.toString());
-            this.state = "DISCONNECTED";
-            this.emit("disconnected", { code: c, reason: r.toString() });
-        });
+        listeners.pong = () => {
+            this.last_heard_at = nowMs();
+            if (this._ping_sent_at !== null) this.record_rtt(nowMs() - this._ping_sent_at);
+            this._ping_sent_at = null;
+        };
+
+        listeners.close = (evt) => {
+            this._log("Transport close", evt.code, evt.reason);
+            this.connection_lost(evt.code, evt.reason);
+        };
 
-        this.ws.on("error", (e) => {
-            this._log("WS error", e.message);
+        listeners.error = (e) => {
+            this._log("Transport error", e.message);
+            this.stats.errors.transport_errors++;
             this.emit("error", e);
-        });
+        };
+
+        for (const [event, fn] of Object.entries(listeners)) {
+            transport.on(event, fn);
+        }
+        this._transport_listeners = listeners;
+    }
+
+    // The connection went away, or we closed it on the node. Reconnect if
+    // we're meant to be running.
+    connection_lost(code, reason) {
+        this.release_transport();
+        this.set_state("DISCONNECTED", reason || "connection closed");
+        this.fail_pending_requests(new Error("Connection lost: " + (reason || "connection closed")));
+        this.emit("disconnected", { code, reason });
+        if (this._shouldRun && this.reconnect_opts && !this._opening_session) {
+            this.start_reconnect();
+        }
+    }
+
+    // Detach from the current transport (without closing it) and return it.
+    // Transport instances may be reused across connects, so our listeners
+    // must not outlive the connection they were added for.
+    release_transport() {
+        const transport = this.transport;
+        this.transport = null;
+        // re-authenticating and keepalives only make sense on the connection
+        // we had
+        this.clear_reauth();
+        this.stop_keepalive();
+        if (transport && this._transport_listeners) {
+            for (const [event, fn] of Object.entries(this._transport_listeners)) {
+                transport.off(event, fn);
+            }
+        }
+        this._transport_listeners = null;
+        return transport;
     }
 
-    /** Connect and perform HELO */
+    /** Connect to the first node that accepts us and perform HELO */
     async connect() {
-        if (this.state !== "DISCONNECTED") throw new Error("connect() invalid state");
-        this.state = "CONNECTING";
+        this.require_state("DISCONNECTED", "connect()");
+        // connecting again after close() starts the agent up again
+        this._shouldRun = true;
+        return this.try_nodes((node) => this.connect_to(node));
+    }
 
+    // Run attempt(node) against each node in turn until one succeeds. With
+    // a single node its error is thrown as is; otherwise the error carries
+    // every node's failure in .errors.
+    async try_nodes(attempt) {
+        if (this.replay_mode) throw new Error("A replay agent doesn't connect");
+        if (this.nodes.strategy == "latency" && this.nodes.unmeasured().length) {
+            await this.measure_latency(true);
+        }
+        const errors = [];
+        for (const node of this.nodes.candidates()) {
+            // close() while we were at it means stop, not try the next node
+            if (!this._shouldRun) throw new Error("Agent closed");
+            try {
+                return await attempt(node);
+            } catch (e) {
+                if (!this._shouldRun) throw e;
+                errors.push(e);
+                this.nodes.record_failure(node.url, e);
+                if (this.nodes.size > 1) this.emit("node_failed", { url: node.url, error: e });
+            }
+        }
+        if (errors.length == 1) throw errors[0];
+        const err = new Error("Unable to connect to any of " + errors.length + " nodes: " + errors[errors.length - 1].message);
+        err.errors = errors;
+        throw err;
+    }
 
-        await new Promise((resolve, reject) => {
-            const timer = setTimeout(() => reject(new Error("WebSocket connect timeout")), 8000);
-            this.ws = new WebSocket(this.url);
-            this.ws.binaryType = "arraybuffer";
-            this.ws.once("open", () => {
-                clearTimeout(timer);
-                resolve();
-            });
-            this.ws.once("error", reject);
-        });
+    /**
+     * Time opening a connection to each node (only those without a
+     * measurement if unmeasured_only), for the latency strategy. Probes
+     * are closed again straight away.
+     */
+    async measure_latency(unmeasured_only = false) {
+        // a transport instance can't be opened twice at once
+        if (this.transport_factory && typeof this.transport_factory != 'function') return this.nodes.snapshot();
+        const nodes = unmeasured_only ? this.nodes.unmeasured() : this.nodes.nodes;
+        await Promise.all(nodes.map(async (node) => {
+            const started = nowMs();
+            const transport = this.create_transport(node.url);
+            try {
+                await transport.open();
+                this.nodes.record_latency(node.url, nowMs() - started);
+            } catch (e) {
+                this.nodes.record_failure(node.url, e);
+            }
+            try {
+                transport.close(1000, "latency probe");
+            } catch {}
+        }));
+        return this.nodes.snapshot();
+    }
 
-        this.setup_websocket();
+    // What we know about each node: latency, failures and when we last
+    // connected to it
+    get_nodes() {
+        return this.nodes.snapshot();
+    }
 
-        // Send helo
-        const msg = this.createControlMessage('helo', {});
-        this.send_msg(msg, 1);
+    async connect_to(node) {
+        this.require_state("DISCONNECTED", "connect()");
+        this.url = node.url;
+        this.set_state("CONNECTING", "connecting to " + node.url);
 
+        const started = nowMs();
+        let transport;
+        try {
+            transport = this.transport = this.create_transport();
+            await transport.open();
+            // close() (or anything else) took the transport from us while
+            // it was opening
+            if (!this._shouldRun || this.transport !== transport) throw new Error("Agent closed while connecting");
+            this.nodes.record_connected(node.url, nowMs() - started);
+            this.emit("connected", { url: this.url });
+
+            this.setup_transport();
+
+            // Send helo, advertising the encodings we can speak
+            this.encoding = PAN_ENCODING_JSON;
+            const encodings = [...new Set([this.preferred_encoding, PAN_ENCODING_JSON])];
+            const msg = this.createControlMessage('helo', { encodings });
+            this.send_msg(msg, 1);
+        } catch (e) {
+            // leave things so connect() can be called again, and don't
+            // leave the transport open behind the agent's back
+            if (this.transport === transport) this.release_transport();
+            try {
+                transport?.close(1000, "connect failed");
+            } catch {}
+            this.set_state("DISCONNECTED", "connect failed: " + e.message);
+            throw e;
+        }
     }
 
-    /** Authenticate after helo */
-    authenticate({ token, tokens }) {
-        if (this.state !== "CONNECTED_UNTRUSTED") throw new Error("Not ready to authenticate");
+    /**
+     * Authenticate after helo, with { token, tokens } or, if none are
+     * given, credentials from the token_provider. Resolves with the
+     * auth.ok reply; rejects with the node's reason on auth.failed.
+     */
+    authenticate(creds) {
+        const result = this.send_auth(creds, false);
+        // failures are also emitted as auth_failed, so callers only
+        // listening for that mustn't trip over an unhandled rejection
+        result.catch(() => {});
+        return result;
+    }
 
-        const msg = this.createControlMessage("auth", { token, tokens });
-        this.send_msg(msg);
-        this.state = "AUTHENTICATING";
+    /** Authenticate again, with fresh credentials, without disconnecting */
+    async reauthenticate() {
+        try {
+            const reply = await this.send_auth(null, true);
+            this.emit("reauthenticated", { expires_at: this.credentials_expire_at });
+            return reply;
+        } catch (e) {
+            this._log("Re-authentication failed", e.message);
+            this.emit("reauth_failed", { error: e });
+            throw e;
+        }
+    }
+
+    // Ask the token_provider for credentials. It may return a token string
+    // or { token, tokens, expires_at }.
+    async get_credentials(context = {}) {
+        if (typeof this.token_provider != 'function') throw new Error("No credentials given and no token_provider");
+        let creds = await this.token_provider({ reconnect: null, reauth: false, ...context, agent: this });
+        if (typeof creds == 'string') creds = { token: creds };
+        return creds;
+    }
+
+    async send_auth(creds, reauth) {
+        if (reauth) {
+            this.require_state("AUTHENTICATED", "reauthenticate()");
+        } else {
+            this.require_state("CONNECTED_UNTRUSTED", "authenticate()");
+            this.set_state("AUTHENTICATING", "authenticating");
+        }
+        const transport = this.transport;
+        // back to waiting for credentials, unless the connection moved on
+        const abandon = (e) => {
+            if (!reauth && this.transport === transport && this.state === "AUTHENTICATING") {
+                this.set_state("CONNECTED_UNTRUSTED", "authentication abandoned: " + e.message);
+            }
+        };
+
+        try {
+            creds = creds || await this.get_credentials({ reauth });
+        } catch (e) {
+            abandon(e);
+            throw e;
+        }
+        if (!transport || this.transport !== transport) throw new Error("Connection closed before authenticating");
+
+        const reply = this.waitFor(["auth_success", "auth_failed", "disconnected"], { timeout: this.request_timeout });
+        this._reauthenticating = reauth;
+        this.send_msg(this.createControlMessage("auth", { token: creds.token, tokens: creds.tokens }));
+        let result;
+        try {
+            result = await reply;
+        } catch (e) {
+            abandon(e);
+            throw e;
+        } finally {
+            this._reauthenticating = false;
+        }
+
+        if (result.event == "disconnected") {
+            throw new Error("Connection closed: " + (result.data?.reason || "unknown reason"));
+        }
+        if (result.event == "auth_failed") {
+            const err = new Error(result.data?.payload?.message || "Authentication failed");
+            err.reply = result.data;
+            throw err;
+        }
+        this.credentials_expire_at = credentials_expiry(creds);
+        this.schedule_reauth();
+        return result.data;
+    }
+
+    start_keepalive() {
+        this.stop_keepalive();
+        if (!this.keepalive || this.replay_mode) return;
+        this.last_heard_at = nowMs();
+        this._keepalive_timer = setInterval(() => this.keepalive_tick(), this.keepalive.interval_ms);
+    }
+
+    stop_keepalive() {
+        if (this._keepalive_timer) {
+            clearInterval(this._keepalive_timer);
+            this._keepalive_timer = null;
+        }
+        this._ping_sent_at = null;
+    }
+
+    keepalive_tick() {
+        const silent_ms = nowMs() - this.last_heard_at;
+        if (silent_ms > this.keepalive.timeout_ms) {
+            this.connection_dead(silent_ms);
+            return;
+        }
+        try {
+            this.ping();
+        } catch (e) {
+            this._log("Keepalive ping failed", e.message);
+        }
+    }
+
+    /** Ping the node, at the transport level if configured and possible */
+    ping() {
+        const transport = this.transport;
+        if (!transport) throw new Error("Not connected");
+        if (this.keepalive?.mode == "transport" && transport.can_ping?.()) {
+            // one at a time, so each pong matches the ping it answers
+            if (this._ping_sent_at === null) {
+                this._ping_sent_at = nowMs();
+                transport.ping();
+            }
+            return;
+        }
+        this.send_msg(this.createControlMessage("ping", { ts: nowMs() }));
+    }
+
+    record_rtt(rtt_ms) {
+        this.rtt.add(rtt_ms);
+        this.emit("rtt", { rtt_ms, url: this.url });
+    }
+
+    // Nothing heard for too long: the connection is as good as gone even if
+    // the socket hasn't noticed, so drop it and let reconnecting take over
+    connection_dead(silent_ms) {
+        this._log("Connection dead after", silent_ms, "ms of silence");
+        this.stats.errors.keepalive_timeouts++;
+        this.emit("connection_dead", { url: this.url, silent_ms });
+        const transport = this.transport;
+        this.connection_lost(4000, "keepalive timeout");
+        try {
+            transport.close(4000, "keepalive timeout");
+        } catch {}
+    }
+
+    // Re-authenticate ahead of our credentials expiring, if we know when
+    // that is, the node supports it and we can get fresh ones
+    schedule_reauth() {
+        this.clear_reauth();
+        const expires_at = this.credentials_expire_at;
+        if (!this.reauth || !expires_at || typeof this.token_provider != 'function') return;
+        if (!this.node_features.has("reauth")) return;
+
+        // short lived credentials are renewed half way through instead, but
+        // never sooner than min_delay_ms so expired ones can't loop
+        const remaining = expires_at - nowMs();
+        const delay = Math.max(remaining - this.reauth.lead_ms, remaining / 2, this.reauth.min_delay_ms);
+        // timers overflow past MAX_TIMER_MS; wait in steps until it's time
+        const capped = delay > MAX_TIMER_MS;
+        this._reauth_timer = setTimeout(() => {
+            this._reauth_timer = null;
+            if (capped) {
+                this.schedule_reauth();
+                return;
+            }
+            // reported as reauth_failed
+            this.reauthenticate().catch(() => {});
+        }, capped ? MAX_TIMER_MS : delay);
+    }
+
+    clear_reauth() {
+        if (this._reauth_timer) {
+            clearTimeout(this._reauth_timer);
+            this._reauth_timer = null;
+        }
     }
 
     handle_auth_result(auth_reply) {
+        // replies only make sense once the node has said helo
+        if (this.state === "DISCONNECTED" || this.state === "CONNECTING") {
+            this.stats.errors.protocol_errors++;
+            this._log("Ignoring unexpected auth reply in state", this.state);
+            return;
+        }
         if (auth_reply.payload.msg_type === "auth.failed") {
+            // a refused re-auth leaves the session we have alone
+            if (!this._reauthenticating && this.state !== "CONNECTED_UNTRUSTED") {
+                this.set_state("CONNECTED_UNTRUSTED", "auth failed: " + (auth_reply.payload.message || "unknown reason"));
+            }
             this.emit("auth_failed", auth_reply);
-            this.state = "CONNECTED_UNTRUSTED";
         } else if (auth_reply.payload.msg_type === 'auth.ok') {
+            const previous_node_id = this.node_id;
+            const newly = this.state !== "AUTHENTICATED";
             this.node_id = auth_reply.payload.node_id; 
             this.conn_id = auth_reply.payload.conn_id;
 
-            this.state = "AUTHENTICATED";
+            this.set_state("AUTHENTICATED", "auth ok");
             this.stats.authenticated_at = nowMs();
             this.emit("auth_success", auth_reply);
+            if (newly) {
+                this.start_keepalive();
+                this.emit("authenticated", { node_id: this.node_id, conn_id: this.conn_id, url: this.url });
+            }
+            // our address includes the node we're attached to
+            if (previous_node_id !== NULL_ID && previous_node_id !== this.node_id) {
+                this.emit("node_changed", {
+                    node_id: this.node_id,
+                    previous_node_id,
+                    conn_id: this.conn_id,
+                    url: this.url,
+                });
+            }
+            this.flush_queue();
         }
     }
 
     /** Join group */
-    join_group(group_name, message_types = {}) {
-        if (this.state !== "AUTHENTICATED") throw new Error("join_group requires authenticated");
+    join_group(group_name, message_types = {}, opts = {}) {
+        if (!this.replay_mode) this.require_state("AUTHENTICATED", "join_group()");
 
         let group_id = group_name;
         // if gId is not a uuid already, map it to one using our namespace
@@ -318,61 +1531,390 @@ export default class PanAgent {
                 agent: this, 
                 name: group_name,
                 id: group_id,
-                namespace: this.namespace
+                namespace: this.namespace,
+                codec: opts.codec,
+                dedup: opts.dedup
             });
             this.groups.set(group_id, group);
+        } else {
+            if (opts.codec) group.codec = opts.codec;
+            if (opts.dedup !== undefined) group.dedup = opts.dedup;
+        }
+
+        if (opts.encryption) {
+            group.enable_encryption(opts.encryption);
+        }
+
+        if (opts.presence && !group.presence) {
+            group.enable_presence(opts.presence === true ? {} : opts.presence);
+        }
+
+        if (opts.rate_limit !== undefined) {
+            group.set_rate_limit(opts.rate_limit);
+        }
+        for (const [key, limit] of Object.entries(opts.rate_limits || {})) {
+            group.set_message_rate_limit(key, limit);
+        }
+
+        for (const [key, schema] of Object.entries(opts.schemas || {})) {
+            group.set_message_schema(key, schema);
         }
 
         let message_type_ids = []
         for (const [key, fn] of Object.entries(message_types)) {
             message_type_ids.push(group.add_message_handler(key, fn));
         }
-        group.update_group_membership();
+        group.update_group_membership(opts);
         
         return group;
     }
 
+    /** Join group, resolving with the group once the node confirms it */
+    async join_group_async(group_name, message_types = {}, opts = {}) {
+        const group = this.join_group(group_name, message_types, opts);
+        // the join just sent is still pending, so this waits on it
+        await group.update_group_membership(opts);
+        return group;
+    }
+
+    /** Leave group, resolving once the node confirms it */
+    leave_group(group_name, opts = {}) {
+        let group_id = group_name;
+        if (!isUuid(group_id)) {
+            group_id = get_uuid_for(group_name, this.namespace);
+        }
+        const group = this.groups.get(group_id);
+        if (!group) return Promise.resolve();
+        return group.leave(opts);
+    }
+
+    // Get (or create) the pending entry for a join/leave on a group. The
+    // promise is pre-caught so fire-and-forget callers don't produce
+    // unhandled rejections; anyone awaiting it still sees the error.
+    pending_request(pending_map, group_id, label, timeout_ms) {
+        let entry = pending_map.get(group_id);
+        if (entry) return entry;
+
+        entry = {};
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        entry.promise.catch(() => {});
+        entry.timeout = setTimeout(() => {
+            this.settle_pending(pending_map, group_id, new Error(label + " timed out for group " + group_id));
+        }, timeout_ms ?? this.request_timeout);
+        pending_map.set(group_id, entry);
+        return entry;
+    }
+
+    settle_pending(pending_map, group_id, err, value) {
+        const entry = pending_map.get(group_id);
+        if (!entry) return;
+        pending_map.delete(group_id);
+        clearTimeout(entry.timeout);
+        if (err) {
+            entry.reject(err);
+        } else {
+            entry.resolve(value);
+        }
+    }
+
     handle_join_group_reply(msg) {
+        const group_id = msg.payload?.group;
+        const group = this.groups.get(group_id);
+        if (!group) {
+            this._log("Ignoring join_group_reply for a group we haven't joined", group_id);
+            return;
+        }
         try {
-            const group_id = msg.payload?.group;
-            const group = this.groups.get(group_id);
             group.join_complete(msg);
+            this.settle_pending(this.pendingJoins, group_id, null, msg);
         } catch(e) {
             console.error('Group Join failure for group_id: ', group_id, e);
+            this.settle_pending(this.pendingJoins, group_id, e);
         }
     }
 
     handle_leave_group_reply(msg) {
         const group_id = msg.payload?.group;
         const group = this.groups.get(group_id);
-        group.leave_complete(msg);
-        this.groups.delete(group_id);
+        // a join sent after the leave wins; keep the group for its reply
+        if (!this.pendingLeaves.get(group_id)?.rejoined) {
+            group?.leave_complete(msg);
+            this.groups.delete(group_id);
+        }
+        this.settle_pending(this.pendingLeaves, group_id, null, msg);
+    }
+
+    // protocol errors that name a group fail any join/leave waiting on it
+    handle_protocol_error(msg) {
+        this.stats.errors.protocol_errors++;
+        const group_id = msg.payload?.group;
+        if (!group_id) return;
+        const err = new Error(msg.payload.message || "protocol error");
+        err.message_payload = msg.payload;
+        this.settle_pending(this.pendingJoins, group_id, err);
+        this.settle_pending(this.pendingLeaves, group_id, err);
+    }
+
+    // Send the request for a pending join/leave, returning whether it went.
+    // If it can't go, the request fails rather than waiting for a reply
+    // that won't come.
+    send_pending_request(pending_map, group_id, msg) {
+        try {
+            this.send_msg(msg);
+            return true;
+        } catch (e) {
+            this.settle_pending(pending_map, group_id, e);
+            return false;
+        }
+    }
+
+    // Fail every join/leave waiting on a reply. Replies don't survive the
+    // connection, and after a reconnect membership is sent afresh.
+    fail_pending_requests(err) {
+        for (const group_id of [...this.pendingJoins.keys()]) {
+            this.settle_pending(this.pendingJoins, group_id, err);
+        }
+        for (const group_id of [...this.pendingLeaves.keys()]) {
+            this.settle_pending(this.pendingLeaves, group_id, err);
+        }
     }
 
 
     /** Direct and group sends */
     send_direct(to, msgType, payload, opts = {}) {
-        if (this.state !== "AUTHENTICATED") throw new Error("Not authenticated");
-        const msg = {
+        const msg = this.build_direct_message(to, msgType, payload, opts);
+        if (!this.signing?.signer) {
+            this.send_msg(msg);
+            return msg.msg_id;
+        }
+        this.sign_and_send(msg, (m) => this.send_msg(m)).catch((e) => {
+            this.stats.errors.send_errors++;
+            this.emit("send_failed", { message: msg, error: e });
+        });
+        return msg.msg_id;
+    }
+
+    // Resolves with the msg_id once the message has been handed to the transport
+    async send_direct_async(to, msgType, payload, opts = {}) {
+        const msg = this.build_direct_message(to, msgType, payload, opts);
+        if (!this.signing?.signer) {
+            await this.send_msg_async(msg);
+        } else {
+            await this.sign_and_send(msg, (m) => this.send_msg_async(m));
+        }
+        return msg.msg_id;
+    }
+
+    sign_and_send(msg, send) {
+        const step = this._direct_outbound_chain.then(async () => {
+            msg.payload = await this.sign_payload(msg);
+            return send(msg);
+        });
+        this._direct_outbound_chain = step.catch(() => {});
+        return step;
+    }
+
+    build_direct_message(to, msgType, payload, opts = {}) {
+        // with an outbound queue, direct messages wait for authentication
+        if (!this.outbound_queue) this.require_state("AUTHENTICATED", "send_direct()");
+        const message_type_id = msgType ? this.get_message_type_id(msgType) : undefined;
+        const codec = this.resolve_codec(opts.codec || this.direct_codecs.get(message_type_id) || this.codec);
+        return {
+            msg_id: random_uuid(),
             type: "direct",
             ttl: opts.ttl ?? this.default_ttl,
-            to,
-            payload,
+            to: {
+                node_id: to.node_id,
+                conn_id: to.conn_id,
+                message_type: message_type_id,
+            },
+            payload: codec.encode(payload),
         };
-        this.send_msg(msg);
-        return msg.msg_id;
     }
 
-    /** Close connection */
+    // Direct message types map to UUIDs in our namespace, as group ones do
+    get_message_type_id(message_type) {
+        if (isUuid(message_type)) return message_type;
+        return get_uuid_for(message_type, this.namespace);
+    }
+
+    /**
+     * Handle direct messages of one type: fn({ message_type, message,
+     * payload, from, peer, sender, verified }). Every direct message is also
+     * emitted as direct_message.
+     */
+    on_direct(message_type, fn, opts = {}) {
+        const message_type_id = this.get_message_type_id(message_type);
+        if (opts.codec) {
+            this.direct_codecs.set(message_type_id, opts.codec);
+        }
+        this.on(message_type_id, fn);
+        return message_type_id;
+    }
+
+    off_direct(message_type, fn) {
+        this.off(this.get_message_type_id(message_type), fn);
+    }
+
+    // Set the codec used for a direct message type, sent or received
+    set_direct_codec(message_type, codec) {
+        this.direct_codecs.set(this.get_message_type_id(message_type), codec);
+    }
+
+    /** Begin reconnecting in the background, if not already doing so */
+    start_reconnect() {
+        if (this._reconnecting || !this.reconnect_opts) return;
+        this._reconnect_loop().catch((e) => {
+            this._log("Reconnect loop error", e);
+        });
+    }
+
+    async _reconnect_loop() {
+        this._reconnecting = true;
+        const previous_conn_id = this.conn_id;
+        const max_attempts = this.reconnect_opts.max_attempts;
+        let attempt = 0;
+        let last_error = null;
+
+        try {
+            while (this._shouldRun) {
+                attempt++;
+                if (attempt > max_attempts) {
+                    this.emit("reconnect_failed", { attempts: attempt - 1, error: last_error });
+                    return;
+                }
+                const delay = backoff_delay(this.reconnect_opts, attempt);
+                this.emit("reconnecting", { attempt, delay });
+
+                // close() wakes us early so the loop can exit promptly
+                await new Promise((resolve) => {
+                    this._reconnect_wake = resolve;
+                    this._reconnect_timer = setTimeout(resolve, delay);
+                });
+                this._reconnect_timer = null;
+                this._reconnect_wake = null;
+                if (!this._shouldRun) return;
+                // the app has connected again itself meanwhile
+                if (this.state !== "DISCONNECTED") return;
+
+                try {
+                    await this.open_session(previous_conn_id);
+                    this.emit("reconnected", {
+                        attempt,
+                        previous_conn_id,
+                        node_id: this.node_id,
+                        conn_id: this.conn_id,
+                    });
+                    return;
+                } catch (e) {
+                    // open_session() has already dropped any connection it
+                    // made; whatever is there now isn't ours to drop
+                    last_error = e;
+                    this._log("Reconnect attempt failed", attempt, e.message);
+                }
+            }
+        } finally {
+            this._reconnecting = false;
+        }
+    }
+
+    /**
+     * Establish a session using the token_provider: connect, helo and
+     * authenticate, moving on to the next node if any step fails. Group
+     * membership is replayed so existing PanGroup handlers keep working.
+     * Pass the previous conn_id when resuming after a disconnect.
+     */
+    async open_session(previous_conn_id = null) {
+        if (typeof this.token_provider != 'function') throw new Error("open_session requires a token_provider function");
+        this.require_state("DISCONNECTED", "open_session()");
+        this._shouldRun = true;
+
+        // a node closing on us mid-handshake moves us on to the next one
+        // rather than starting a reconnect
+        const closed = (result) => {
+            if (result.event == "trust_rejected") throw new Error("Untrusted node: " + result.data.reason);
+            if (result.event == "disconnected") throw new Error("Connection closed: " + (result.data?.reason || "unknown reason"));
+        };
+        this._opening_session = true;
+        try {
+            await this.try_nodes(async (node) => {
+                await this.connect_to(node);
+                try {
+                    closed(await this.waitFor(["helo", "trust_rejected", "disconnected"], { timeout: this.request_timeout }));
+
+                    const creds = await this.get_credentials({ reconnect: previous_conn_id });
+                    await this.authenticate(creds);
+                } catch (e) {
+                    this.drop_connection();
+                    throw e;
+                }
+            });
+        } finally {
+            this._opening_session = false;
+        }
+
+        this.groups.forEach((group) => {
+            group.update_group_membership();
+        });
+        return { node_id: this.node_id, conn_id: this.conn_id, url: this.url };
+    }
+
+    // Tear down the transport without stopping the agent
+    drop_connection() {
+        const transport = this.release_transport();
+        this.set_state("DISCONNECTED", "dropped");
+        this.fail_pending_requests(new Error("Connection dropped"));
+        if (transport) {
+            try {
+                transport.close(1000, "dropped");
+            } catch {}
+        }
+    }
+
+    /** Close connection. Resolves once the transport has been closed */
     close(code = 1000, reason = "client close") {
         this._shouldRun = false;
-        if (this.ws) {
+        if (this._reconnect_timer) {
+            clearTimeout(this._reconnect_timer);
+            this._reconnect_wake?.();
+        }
+        // presence groups announce that we're leaving first, and the
+        // transport stays up until that has gone (or request_timeout_ms
+        // passes)
+        const leaving = [];
+        this.groups.forEach((group) => {
+            if (group.presence) leaving.push(group.disable_presence());
+        });
+        if (!leaving.length) {
+            this.finish_close(code, reason);
+            return Promise.resolve();
+        }
+        let timer;
+        const waited = new Promise((resolve) => {
+            timer = setTimeout(resolve, this.request_timeout);
+        });
+        return Promise.race([Promise.all(leaving), waited]).then(() => {
+            clearTimeout(timer);
+            this.finish_close(code, reason);
+        });
+    }
+
+    finish_close(code, reason) {
+        const transport = this.release_transport();
+        if (transport) {
             try {
-                this.ws.close(code, reason);
+                transport.close(code, reason);
             } catch {}
         }
-        this.ws = null;
-        this.state = "DISCONNECTED";
+        this.set_state("DISCONNECTED", reason);
+
+        const err = new Error("Agent closed");
+        this.fail_pending_requests(err);
+        this.rate_limiter.clear(err);
+        this.clear_queue(err);
         this.emit("disconnected", { code, reason });
     }
 
@@ -386,15 +1928,23 @@ export default class PanAgent {
                 break;
 
             case 'direct':   
-                this.emit("direct_message", msg);
+                msg = this.reassemble(msg);
+                if (!msg) return;
+                this.filter_inbound(msg, (m) => this.receive_direct_message(m));
                 break;
 
             case 'broadcast': 
                 const group = this.groups.get(msg.to.group_id);
-                if (group) { 
-                    group.route_group_message(msg);
-                }
-                this.emit("group_message", msg);
+                const duplicate = this.is_duplicate(msg);
+                if (duplicate && (!group || group.dedup)) return;
+                msg = this.reassemble(msg);
+                if (!msg) return;
+                this.filter_inbound(msg, (m) => {
+                    if (group) {
+                        group.route_group_message(m);
+                    }
+                    if (!duplicate) this.emit("group_message", m);
+                });
                 break;
 
             default: 
@@ -407,15 +1957,258 @@ export default class PanAgent {
         this.emit("message_received", msg);
     }
 
+    receive_direct_message(msg) {
+        if (!this.signing?.verifier) {
+            this.deliver_direct_message(msg, this.read_signed(msg));
+            return;
+        }
+        this._direct_inbound_chain = this._direct_inbound_chain
+            .then(async () => this.deliver_direct_message(msg, await this.check_signature(msg)))
+            .catch((e) => {
+                console.error('Direct message handler failed', e);
+            });
+    }
+
+    deliver_direct_message(msg, signed) {
+        if (!signed) return;
+        msg = { ...msg, payload: signed.payload, sender: signed.sender, verified: signed.verified };
+        const message_type_id = msg.to?.message_type;
+        try {
+            const codec = this.resolve_codec(this.direct_codecs.get(message_type_id) || this.codec);
+            msg.decoded_payload = codec.decode(msg.payload);
+        } catch (e) {
+            this.stats.errors.decode_errors++;
+            this.emit("decode_error", { message_type: message_type_id, message: msg, error: e });
+            return;
+        }
+        const peer = (msg.from?.node_id && msg.from?.conn_id) ? this.known_peer(msg.from) : null;
+        this.emit("direct_message", msg);
+        peer?.emit("direct_message", msg);
+        if (message_type_id) {
+            const evt = {
+                message_type: message_type_id,
+                message: msg,
+                payload: msg.decoded_payload,
+                from: msg.from,
+                peer,
+                sender: msg.sender,
+                verified: msg.verified
+            };
+            this.emit(message_type_id, evt);
+            peer?.emit(message_type_id, evt);
+        }
+    }
+
+    /**
+     * The PanPeer for an address ({ node_id, conn_id }, such as msg.from).
+     * The same address always gives the same PanPeer until forget_peer().
+     */
+    peer(address) {
+        const peer = this.known_peer(address);
+        peer.kept = true;
+        return peer;
+    }
+
+    // The PanPeer for an address, without keeping it. Map order doubles as
+    // least recently used order for eviction.
+    known_peer(address) {
+        if (address instanceof PanPeer) return address;
+        const key = peer_key(address);
+        let peer = this.peers.get(key);
+        if (peer) {
+            this.peers.delete(key);
+        } else {
+            peer = new PanPeer({ agent: this, node_id: address.node_id, conn_id: address.conn_id });
+        }
+        this.peers.set(key, peer);
+        this.evict_peers();
+        return peer;
+    }
+
+    evict_peers() {
+        if (this.peers.size <= this.max_peers) return;
+        for (const [key, peer] of this.peers) {
+            if (peer.kept) continue;
+            this.peers.delete(key);
+            if (this.peers.size <= this.max_peers) return;
+        }
+    }
+
+    forget_peer(address) {
+        this.peers.delete(peer_key(address));
+    }
+
+    /** Start recording packets to sink (see pan-recorder.js), or stop with null */
+    record_to(sink) {
+        this.recorder = sink ? new PacketRecorder(sink) : null;
+    }
+
+    /**
+     * Add inbound middleware: async (msg, { agent, group, direction }) => msg
+     * Return a (possibly new) message to pass it on, false or null to drop
+     * it, or nothing to pass it on as is.
+     */
+    use_inbound(fn) {
+        if (typeof fn != 'function') throw new Error("Middleware must be a function");
+        this.middleware.in.push(fn);
+    }
+
+    /** Add outbound middleware, as for use_inbound() */
+    use_outbound(fn) {
+        if (typeof fn != 'function') throw new Error("Middleware must be a function");
+        this.middleware.out.push(fn);
+    }
+
+    // The middleware msg passes through, in order. Group middleware is
+    // closest to the application: it runs first on the way out and last on
+    // the way in. Control messages drive the handshake and skip middleware.
+    middleware_for(direction, msg) {
+        if (msg.type == 'control') return [];
+        const group = (msg.type == 'broadcast') ? this.groups.get(msg.to?.group_id) : null;
+        const group_chain = group?.middleware[direction] ?? [];
+        const agent_chain = this.middleware[direction];
+        if (group_chain.length + agent_chain.length == 0) return [];
+        return (direction == "out") ? [...group_chain, ...agent_chain] : [...agent_chain, ...group_chain];
+    }
+
+    async run_middleware(chain, msg, direction) {
+        const ctx = {
+            agent: this,
+            group: (msg.type == 'broadcast') ? this.groups.get(msg.to?.group_id) : undefined,
+            direction,
+        };
+        for (const fn of chain) {
+            const result = await fn(msg, ctx);
+            if (result === false || result === null) return null;
+            if (result !== undefined) msg = result;
+        }
+        return msg;
+    }
+
+    // Pass msg through inbound middleware, then on to next. Without any
+    // middleware this happens synchronously.
+    filter_inbound(msg, next) {
+        const chain = this.middleware_for("in", msg);
+        if (chain.length == 0) {
+            next(msg);
+            return;
+        }
+        const step = this._middleware_in_chain.then(async () => {
+            let out;
+            try {
+                out = await this.run_middleware(chain, msg, "in");
+            } catch (e) {
+                this.emit("middleware_error", { direction: "in", message: msg, error: e });
+                return;
+            }
+            if (out) next(out);
+        });
+        this._middleware_in_chain = step.catch((e) => {
+            this._log("Inbound message failed", e);
+        });
+    }
+
+    // Pass msg through outbound middleware, then to send. Resolves with
+    // send's result, or null if middleware dropped the message.
+    filter_outbound(chain, msg, send) {
+        const step = this._middleware_out_chain.then(async () => {
+            const out = await this.run_middleware(chain, msg, "out");
+            return out ? send(out) : null;
+        });
+        this._middleware_out_chain = step.catch(() => {});
+        return step;
+    }
+
+    // Sign an outgoing message's payload, if we have a signer
+    async sign_payload(msg) {
+        const signer = this.signing?.signer;
+        if (!signer) return msg.payload;
+        const data = to_bytes(msg.payload);
+        const signature = await signer.sign(signing_input(this.signing_context(msg), data));
+        return wrap_signed(data, signer.urn, signature);
+    }
+
+    // Signatures cover where a message was sent, not just its payload
+    signing_context(msg) {
+        if (msg.type == 'broadcast') return "broadcast:" + msg.to.group_id + ":" + msg.to.message_type;
+        return "direct:" + msg.to.node_id + ":" + msg.to.conn_id + ":" + (msg.to.message_type ?? "");
+    }
+
+    // Unwrap a possibly signed payload without verifying it
+    read_signed(msg) {
+        const result = { payload: msg.payload, sender: null, verified: false };
+        try {
+            result.payload = to_bytes(msg.payload);
+            if (is_signed(result.payload)) {
+                result.signed = unwrap_signed(result.payload);
+                result.payload = result.signed.data;
+            }
+        } catch (e) {
+            this._log("Unreadable signed payload", e.message);
+        }
+        return result;
+    }
+
+    // Verify a possibly signed payload. Resolves like read_signed() with
+    // sender set to the verified URN, or null when the signing policy says
+    // the message should be dropped.
+    async check_signature(msg) {
+        const result = this.read_signed(msg);
+        const verifier = this.signing?.verifier;
+        if (!verifier) return result;
+        if (!result.signed) return this.unverified(msg, result, "unsigned");
+
+        const { urn, signature, data } = result.signed;
+        try {
+            const ok = await verifier(signing_input(this.signing_context(msg), data), signature, { urn, message: msg });
+            if (!ok) return this.unverified(msg, result, "invalid signature");
+            result.sender = (typeof ok == 'string') ? ok : urn;
+            result.verified = true;
+            return result;
+        } catch (e) {
+            return this.unverified(msg, result, "verification failed: " + e.message);
+        }
+    }
+
+    unverified(msg, result, reason) {
+        this.stats.msgs_in_unverified++;
+        this.emit("unverified_message", { message: msg, reason, claimed_urn: result.signed?.urn ?? null });
+        return (this.signing.policy == "flag") ? result : null;
+    }
+
+    // Returns msg untouched if it isn't a fragment, null while a fragmented
+    // message is incomplete, and the whole message once it is.
+    reassemble(msg) {
+        if (!this.reassembler) return msg;
+        let bytes;
+        try {
+            bytes = to_bytes(msg.payload);
+        } catch (e) {
+            return msg;
+        }
+        if (!is_fragment(bytes)) return msg;
+
+        const sender = msg.from.node_id + ":" + msg.from.conn_id;
+        const whole = this.reassembler.add(sender, bytes);
+        if (!whole) return null;
+        return { ...msg, msg_id: whole.transfer_id, payload: whole.payload };
+    }
+
+    is_duplicate(msg) {
+        if (!this.recent_ids || !msg.msg_id) return false;
+        if (!this.recent_ids.check(msg.msg_id)) return false;
+        this.stats.msgs_in_duplicates++;
+        return true;
+    }
+
     dispatch_control_message(msg) {
         const control_message_type = msg.payload.msg_type;
         this.emit("control", msg);
 
         switch (control_message_type) {
             case "helo": 
-                this.emit("helo", msg);
-                this.state = "CONNECTED_UNTRUSTED";
                 this.stats.connected_at = nowMs();
+                this.verify_helo(msg);
                 break;
 
             case "auth.ok":
@@ -427,12 +2220,17 @@ export default class PanAgent {
                 this.handle_join_group_reply(msg);
                 break;
 
+            case "pong": 
+                if (typeof msg.payload.ts == 'number') this.record_rtt(nowMs() - msg.payload.ts);
+                break;
+
             case "leave_group_reply": 
                 this.handle_leave_group_reply(msg);
                 break;
 
             case "error": 
                 console.warn('protocol error:', msg);
+                this.handle_protocol_error(msg);
                 this.emit("error", msg);
                 break;
 
@@ -443,9 +2241,287 @@ export default class PanAgent {
         return msg;
     }
 
+    // With a trust policy the helo is held back until the node passes it,
+    // so nothing waiting on helo can authenticate with an untrusted node.
+    verify_helo(msg) {
+        if (!this.trust || this.replay_mode) {
+            this.accept_helo(msg);
+            return;
+        }
+        const transport = this.transport;
+        const url = this.url;
+        check_trust(this.trust, msg.payload, { url, agent: this })
+            .catch((e) => e?.message || String(e))
+            .then((reason) => {
+                // the connection may have gone while we were checking
+                if (this.transport !== transport || !transport) return;
+                if (reason === null) {
+                    this.accept_helo(msg);
+                } else {
+                    this.reject_node(msg, reason);
+                }
+            });
+    }
+
+    accept_helo(msg) {
+        if (this.replay_mode && this.state === "DISCONNECTED") this.set_state("CONNECTING", "replaying");
+        if (this.state !== "CONNECTING") {
+            this.stats.errors.protocol_errors++;
+            this._log("Ignoring unexpected helo in state", this.state);
+            return;
+        }
+        const features = msg.payload?.features;
+        this.node_features = new Set(Array.isArray(features) ? features : []);
+        this.negotiate_encoding(msg.payload);
+        this.set_state("CONNECTED_UNTRUSTED", "helo");
+        this.emit("helo", msg);
+    }
+
+    // Close on a node that failed our trust policy
+    reject_node(helo, reason) {
+        this._log("Untrusted node", this.url, reason);
+        this.emit("trust_rejected", { url: this.url, urn: helo.payload?.i_am, reason, helo });
+        const transport = this.transport;
+        this.connection_lost(1008, "untrusted node");
+        try {
+            transport.close(1008, "untrusted node");
+        } catch {}
+    }
+
     send_msg(msg) {
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN)
-            throw new Error("WebSocket not open");
+        if (!msg.msg_id) msg.msg_id = random_uuid();
+        const chain = this.middleware_for("out", msg);
+        if (chain.length == 0) {
+            this.submit_msg(msg);
+            return;
+        }
+        this.filter_outbound(chain, msg, (m) => this.submit_msg(m)).catch((e) => {
+            this.stats.errors.send_errors++;
+            this.emit("send_failed", { message: msg, error: e });
+        });
+    }
+
+    // after middleware: rate limits, then fragment and queue or transmit
+    submit_msg(msg) {
+        if (!this.admit(msg, null)) return;
+        this.dispatch_msg(msg);
+    }
+
+    dispatch_msg(msg) {
+        for (const part of this.fragment_message(msg)) {
+            if (this.should_queue(part)) {
+                this.enqueue(part, null);
+            } else {
+                this.transmit(part);
+            }
+        }
+    }
+
+    // Resolves once msg (all of it, if fragmented) has been handed to the transport,
+    // or with null if middleware dropped it
+    async send_msg_async(msg) {
+        if (!msg.msg_id) msg.msg_id = random_uuid();
+        const chain = this.middleware_for("out", msg);
+        if (chain.length == 0) {
+            await this.submit_msg_async(msg);
+            return msg;
+        }
+        // don't hold up the middleware chain while this one sits in a queue
+        let sent = null;
+        await this.filter_outbound(chain, msg, (m) => {
+            sent = this.submit_msg_async(m).then(() => m);
+            sent.catch(() => {});
+        });
+        return sent;
+    }
+
+    submit_msg_async(msg) {
+        return new Promise((resolve, reject) => {
+            if (this.admit(msg, { resolve, reject })) resolve(this.dispatch_msg_async(msg));
+        });
+    }
+
+    dispatch_msg_async(msg) {
+        return Promise.all(this.fragment_message(msg).map((part) => new Promise((resolve, reject) => {
+            if (this.should_queue(part)) {
+                this.enqueue(part, { resolve, reject });
+                return;
+            }
+            this.transmit(part);
+            resolve(part);
+        })));
+    }
+
+    // Check msg against the rate limits that apply to it. Returns true if it
+    // can go now; otherwise it is held and waiter settled once it is sent.
+    // Control messages are never limited.
+    admit(msg, waiter) {
+        if (msg.type == 'control') return true;
+        return this.rate_limiter.admit(msg, this.rate_limits_for(msg), waiter);
+    }
+
+    // The limits that apply to msg, most specific first
+    rate_limits_for(msg) {
+        const limits = [];
+        if (msg.type == 'broadcast') {
+            const group = this.groups.get(msg.to.group_id);
+            const type_limit = group?.type_rate_limits.get(msg.to.message_type);
+            if (type_limit) limits.push({ level: "message_type", bucket: type_limit });
+            if (group?.rate_limit) limits.push({ level: "group", bucket: group.rate_limit });
+        }
+        if (this.rate_limit) limits.push({ level: "agent", bucket: this.rate_limit });
+        return limits;
+    }
+
+    set_rate_limit(limit) {
+        this.rate_limit = create_bucket(limit);
+    }
+
+    release_rate_limited(entry) {
+        try {
+            if (!entry.waiter) {
+                this.dispatch_msg(entry.msg);
+            } else {
+                entry.waiter.resolve(this.dispatch_msg_async(entry.msg));
+            }
+        } catch (e) {
+            this._log("Rate limited send failed", e.message);
+            entry.waiter?.reject(e);
+        }
+    }
+
+    report_rate_limited(entry, limit, action) {
+        const msg = entry.msg;
+        const group = (msg.type == 'broadcast') ? this.groups.get(msg.to.group_id) : undefined;
+        if (action != "dropped") this.stats.msgs_out_rate_limited++;
+        if (action != "queued") this.stats.msgs_out_dropped++;
+        const evt = {
+            message: msg,
+            group,
+            message_type: msg.to?.message_type,
+            level: limit.level,
+            policy: limit.bucket.policy,
+            action,
+        };
+        group?.emit('rate_limited', evt);
+        this.emit('rate_limited', evt);
+    }
+
+    // Largest payload that fits in one packet. JSON envelopes carry the
+    // payload base64 encoded, so they have less room than binary ones.
+    max_payload_size() {
+        if (this.encoding === PAN_ENCODING_JSON) {
+            return Math.min(MAX_PAYLOAD_SIZE, Math.floor((MAX_JSON_ENVELOPE_SIZE - ROUTING_ENVELOPE_SIZE) * 3 / 4));
+        }
+        return MAX_PAYLOAD_SIZE;
+    }
+
+    // Split msg into fragments if its payload is too large for one packet.
+    // The logical message keeps msg.msg_id, which becomes the transfer id.
+    fragment_message(msg) {
+        if (msg.type == 'control' || !(msg.payload instanceof Uint8Array)) return [msg];
+        const limit = this.max_payload_size();
+        if (msg.payload.length <= limit) return [msg];
+        if (!this.fragmentation) {
+            throw new Error("Payload of " + msg.payload.length + " bytes exceeds the maximum of " + limit + " bytes and fragmentation is disabled");
+        }
+        return split_payload(msg.payload, limit, msg.msg_id).map((fragment) => ({
+            ...msg,
+            msg_id: random_uuid(),
+            payload: fragment,
+        }));
+    }
+
+    // Control messages always go straight out; they drive the handshake.
+    // Everything else queues behind anything already waiting.
+    should_queue(msg) {
+        if (!this.outbound_queue || msg.type == 'control') return false;
+        return this.queue.length > 0 || !this.can_transmit();
+    }
+
+    can_transmit() {
+        if (this.state !== "AUTHENTICATED") return false;
+        if (this.replay_mode) return true;
+        return !!this.transport
+            && this.transport.is_open()
+            && (this.transport.bufferedAmount ?? 0) < this.outbound_queue.high_water_mark;
+    }
+
+    enqueue(msg, waiter) {
+        const limits = this.outbound_queue;
+        const size = byte_length(msg.payload ?? "");
+        if (this.queue.length >= limits.max_messages || this.queued_bytes + size > limits.max_bytes) {
+            this.stats.msgs_out_dropped++;
+            this.emit("queue_full", { message: msg, queued: this.queue.length, queued_bytes: this.queued_bytes });
+            throw new Error("Outbound queue full");
+        }
+        this.queue.push({ msg, size, queued_at: nowMs(), waiter });
+        this.queued_bytes += size;
+        this.schedule_flush();
+    }
+
+    schedule_flush() {
+        if (this._queue_timer || this.queue.length == 0) return;
+        this._queue_timer = setTimeout(() => {
+            this._queue_timer = null;
+            this.flush_queue();
+        }, this.outbound_queue.poll_interval_ms);
+    }
+
+    // Send as much of the queue as the transport will take, expiring
+    // anything that has waited longer than max_age_ms.
+    flush_queue() {
+        if (!this.outbound_queue || this.queue.length == 0) return;
+        const max_age = this.outbound_queue.max_age_ms;
+
+        while (this.queue.length > 0) {
+            const entry = this.queue[0];
+            if (nowMs() - entry.queued_at > max_age) {
+                this.dequeue();
+                this.stats.msgs_out_dropped++;
+                this.emit("queue_expired", { message: entry.msg });
+                entry.waiter?.reject(new Error("Outbound message expired in queue"));
+                continue;
+            }
+            if (!this.can_transmit()) break;
+
+            this.dequeue();
+            try {
+                this.transmit(entry.msg);
+                entry.waiter?.resolve(entry.msg);
+            } catch (e) {
+                this._log("Queued send failed", e.message);
+                entry.waiter?.reject(e);
+            }
+        }
+
+        if (this.queue.length > 0) {
+            this.schedule_flush();
+        } else {
+            this.emit("drain", {});
+        }
+    }
+
+    dequeue() {
+        const entry = this.queue.shift();
+        this.queued_bytes -= entry.size;
+        return entry;
+    }
+
+    clear_queue(err) {
+        clearTimeout(this._queue_timer);
+        this._queue_timer = null;
+        const entries = this.queue;
+        this.queue = [];
+        this.queued_bytes = 0;
+        for (const entry of entries) {
+            entry.waiter?.reject(err);
+        }
+    }
+
+    transmit(msg) {
+        if (!this.replay_mode && (!this.transport || !this.transport.is_open()))
+            throw new Error("Transport not open");
 
         let pkt = {
             ...msg,
@@ -466,30 +2542,119 @@ export default class PanAgent {
             pkt.spread = pkt.ttl;
         }
            
-        if (!pkt.msg_id) pkt.msg_id = crypto.randomUUID();
+        if (!pkt.msg_id) pkt.msg_id = random_uuid();
         //console.log('cccc', pkt);
 
+        this.recorder?.record("out", pkt);
+        if (this.replay_mode) return;
         const raw = encodePacket(pkt);
         
-        this.stats.bytes_out += Buffer.byteLength(raw);
+        const size = byte_length(raw);
+        const enc = encoding_name(pkt.version);
+        this.stats.bytes_out += size;
+        this.stats.bytes_out_by_encoding[enc] += size;
+        this.stats.msgs_out_by_encoding[enc]++;
         this.stats.msgs_out_total++;
         const t = msg.type || "unknown";
         this.stats.msgs_out_by_type[t] = (this.stats.msgs_out_by_type[t] || 0) + 1;
+        this.count_traffic("out", pkt, size);
 
-        this.ws.send(raw);
+        this.transport.send(raw);
     }
 
 
 
 
+    // Switch to our preferred encoding if the node's helo advertises it,
+    // otherwise stay on JSON.
+    negotiate_encoding(helo_payload) {
+        let advertised = [];
+        try {
+            advertised = (helo_payload?.encodings || []).map(normalize_encoding);
+        } catch (e) {
+            this._log("Ignoring bad encodings in helo", e.message);
+        }
+        if (advertised.includes(this.preferred_encoding)) {
+            this.encoding = this.preferred_encoding;
+        } else {
+            this.encoding = PAN_ENCODING_JSON;
+        }
+        this._log("Using encoding", encoding_name(this.encoding));
+    }
+
+    /** Register a payload codec: { encode(value) => bytes, decode(bytes) => value } */
+    register_codec(name, codec) {
+        if (typeof codec?.encode != 'function' || typeof codec?.decode != 'function') {
+            throw new Error("Codec " + name + " must provide encode() and decode()");
+        }
+        this.codecs.set(name, codec);
+    }
+
+    // codecs may be given by name or as codec objects
+    resolve_codec(codec) {
+        if (typeof codec != 'string') return codec;
+        const found = this.codecs.get(codec);
+        if (!found) throw new Error("Unknown codec: " + codec);
+        return found;
+    }
+
     _log(...a) {
         if (this.debug) console.log("[PanAgent]", ...a);
     }
 
 
+    // Rates and per peer / group / message type counters for one packet
+    count_traffic(direction, msg, size) {
+        this.rates["msgs_" + direction].add(1);
+        this.rates["bytes_" + direction].add(size);
+        if (msg.type != 'control') {
+            const address = (direction == "in") ? msg.from : (msg.type == 'direct') ? msg.to : null;
+            if (address?.node_id && address?.conn_id) {
+                // anyone who sends us a direct message becomes a known peer
+                const peer = (direction == "in" && msg.type == 'direct') ? this.known_peer(address) : this.peers.get(peer_key(address));
+                peer?.count_traffic(direction, size);
+            }
+        }
+        if (msg.type != 'broadcast' || !msg.to?.group_id) return;
+
+        const group_id = msg.to.group_id;
+        const group = this.groups.get(group_id);
+        let group_stats = this.stats.by_group[group_id];
+        if (!group_stats) {
+            group_stats = this.stats.by_group[group_id] = {
+                name: group?.name ?? null,
+                msgs_in: 0, msgs_out: 0, bytes_in: 0, bytes_out: 0,
+                by_message_type: {},
+            };
+        }
+        const message_type_id = msg.to.message_type;
+        let type_stats = group_stats.by_message_type[message_type_id];
+        if (!type_stats) {
+            type_stats = group_stats.by_message_type[message_type_id] = {
+                name: group?.get_message_type_name(message_type_id) ?? null,
+                msgs_in: 0, msgs_out: 0, bytes_in: 0, bytes_out: 0,
+            };
+        }
+        for (const counters of [group_stats, type_stats]) {
+            counters["msgs_" + direction]++;
+            counters["bytes_" + direction] += size;
+        }
+    }
+
     /** Stats getter (deep copy) */
     get_stats() {
-        return JSON.parse(JSON.stringify(this.stats));
+        const stats = JSON.parse(JSON.stringify(this.stats));
+        stats.rates = {};
+        for (const [name, rate] of Object.entries(this.rates)) {
+            stats.rates[name] = rate.rates();
+        }
+        stats.rtt = this.rtt.summary();
+        return stats;
+    }
+
+    // get_stats() in Prometheus text exposition format
+    get_stats_prometheus(opts = {}) {
+        return render_prometheus(this.get_stats(), opts);
     }
 
     createControlMessage(msg_type, payload, msg_id) {
@@ -503,7 +2668,7 @@ export default class PanAgent {
                 conn_id: NULL_ID
             },
             type: "control",
-            msg_id: msg_id || crypto.randomUUID()
+            msg_id: msg_id || random_uuid()
         };  
         return new_msg;
     }
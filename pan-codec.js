@@ -0,0 +1,61 @@
+// pan-codec.js
+//
+// Payload codecs. A codec turns an application value into the bytes carried
+// in a packet's payload and back again:
+//
+//   { encode(value) => Uint8Array, decode(bytes) => value }
+//
+// PanAgent registers the built-in codecs below under their names; apps can
+// register their own with agent.register_codec(name, codec).
+//
+
+const text_encoder = new TextEncoder();
+const text_decoder = new TextDecoder();
+
+// Normalize whatever a packet decoder handed us into a Uint8Array
+export function to_bytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data == 'string') return text_encoder.encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new Error("Payload is not binary data");
+}
+
+export const json_codec = {
+    encode(value) {
+        // JSON would turn bytes into {"0":..,"1":..}; say so rather than
+        // send that
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            throw new Error("The json codec can't encode binary data; use codec: \"bytes\" for it");
+        }
+        return text_encoder.encode(JSON.stringify(value));
+    },
+    decode(bytes) {
+        return JSON.parse(text_decoder.decode(to_bytes(bytes)));
+    },
+};
+
+export const text_codec = {
+    encode(value) {
+        if (typeof value != 'string') throw new Error("text codec requires a string payload");
+        return text_encoder.encode(value);
+    },
+    decode(bytes) {
+        return text_decoder.decode(to_bytes(bytes));
+    },
+};
+
+export const bytes_codec = {
+    encode(value) {
+        return to_bytes(value);
+    },
+    decode(bytes) {
+        return to_bytes(bytes);
+    },
+};
+
+export const BUILTIN_CODECS = {
+    json: json_codec,
+    text: text_codec,
+    bytes: bytes_codec,
+};
@@ -0,0 +1,165 @@
+// pan-encryption.js
+//
+// End-to-end encryption of group payloads.
+//
+// Nodes relay group payloads without looking at them, so agents sharing a
+// symmetric key can keep payloads private from the network. Payloads are
+// sealed with AES-GCM, which both encrypts and authenticates them, using
+// WebCrypto so the same code runs in browsers and Node.
+//
+// A sealed payload looks like:
+//
+//   magic       4 bytes   0x00 'P' 'E' 'G'
+//   version     1 byte
+//   key id len  1 byte
+//   key id      utf8
+//   iv          12 bytes
+//   ciphertext  (including the 16 byte GCM tag)
+//
+// The group id and message type are bound in as additional authenticated
+// data, so a sealed payload can't be replayed into another group or type.
+//
+
+const SEALED_MAGIC = [0x00, 0x50, 0x45, 0x47];
+const SEALED_VERSION = 1;
+const IV_LENGTH = 12;
+
+const text_encoder = new TextEncoder();
+const text_decoder = new TextDecoder();
+
+// Browsers and Node 19+ provide crypto.subtle globally. pan-agent-node.js
+// installs node:crypto's webcrypto here for older Node versions.
+let webcrypto = globalThis.crypto;
+
+export function set_webcrypto(impl) {
+    webcrypto = impl;
+}
+
+function subtle() {
+    if (!webcrypto?.subtle) throw new Error("Encrypted groups require WebCrypto (crypto.subtle)");
+    return webcrypto.subtle;
+}
+
+export function is_sealed(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length < SEALED_MAGIC.length + 2) return false;
+    for (let i = 0; i < SEALED_MAGIC.length; i++) {
+        if (bytes[i] !== SEALED_MAGIC[i]) return false;
+    }
+    return bytes[4] === SEALED_VERSION;
+}
+
+// key material is either raw key bytes (16 or 32 bytes), a CryptoKey, or a
+// secret from which a key is derived with HKDF, salted with the group id.
+async function import_key(material, group_id, key_id) {
+    if (material.key && typeof material.key == 'object' && material.key.type === 'secret') {
+        return material.key;
+    }
+    if (material.key) {
+        return subtle().importKey("raw", material.key, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+    }
+    if (material.secret) {
+        const secret = (typeof material.secret == 'string') ? text_encoder.encode(material.secret) : material.secret;
+        const base = await subtle().importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+        return subtle().deriveKey(
+            {
+                name: "HKDF",
+                hash: "SHA-256",
+                salt: text_encoder.encode(group_id),
+                info: text_encoder.encode("pan-group-key:" + key_id),
+            },
+            base,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    }
+    throw new Error("Group key " + key_id + " needs a key or a secret");
+}
+
+/** GroupKeyring - the keys an encrypted group can seal and open with */
+export class GroupKeyring {
+    constructor(group_id) {
+        this.group_id = group_id;
+        this.keys = new Map(); // key_id -> CryptoKey
+        this.key_ids = new Set(); // including keys still being imported
+        this.current = null;
+        // key imports are async; sealing and opening wait for them
+        this.ready = Promise.resolve();
+    }
+
+    // add_key(key_id, { key } | { secret }, { current })
+    // The first key added becomes current unless told otherwise.
+    add_key(key_id, material, opts = {}) {
+        key_id = String(key_id);
+        if (text_encoder.encode(key_id).length > 255) throw new Error("Group key id too long");
+        const imported = this.ready.then(async () => {
+            this.keys.set(key_id, await import_key(material, this.group_id, key_id));
+        });
+        this.ready = imported.catch(() => {});
+        this.key_ids.add(key_id);
+        if (opts.current || this.current === null) this.current = key_id;
+        return imported;
+    }
+
+    set_current(key_id) {
+        key_id = String(key_id);
+        if (!this.key_ids.has(key_id)) throw new Error("Unknown group key: " + key_id);
+        this.current = key_id;
+    }
+
+    remove_key(key_id) {
+        key_id = String(key_id);
+        this.keys.delete(key_id);
+        this.key_ids.delete(key_id);
+        if (this.current === key_id) this.current = null;
+    }
+
+    // key_id defaults to the current key; callers that seal asynchronously
+    // pass the key that was current when the message was sent.
+    async seal(plain, aad, key_id = this.current) {
+        await this.ready;
+        const key = this.keys.get(key_id);
+        if (!key) throw new Error("Group key not available: " + key_id);
+
+        const iv = webcrypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const cipher = new Uint8Array(await subtle().encrypt(
+            { name: "AES-GCM", iv, additionalData: text_encoder.encode(aad) },
+            key,
+            plain
+        ));
+        const id_bytes = text_encoder.encode(key_id);
+
+        const sealed = new Uint8Array(6 + id_bytes.length + IV_LENGTH + cipher.length);
+        sealed.set(SEALED_MAGIC, 0);
+        sealed[4] = SEALED_VERSION;
+        sealed[5] = id_bytes.length;
+        sealed.set(id_bytes, 6);
+        sealed.set(iv, 6 + id_bytes.length);
+        sealed.set(cipher, 6 + id_bytes.length + IV_LENGTH);
+        return sealed;
+    }
+
+    // Throws if the payload isn't sealed, uses an unknown key, or fails
+    // authentication.
+    async open(sealed, aad) {
+        await this.ready;
+        if (!is_sealed(sealed)) throw new Error("Payload is not encrypted");
+
+        const id_length = sealed[5];
+        const key_id = text_decoder.decode(sealed.subarray(6, 6 + id_length));
+        const key = this.keys.get(key_id);
+        if (!key) throw new Error("Unknown group key: " + key_id);
+
+        const iv = sealed.subarray(6 + id_length, 6 + id_length + IV_LENGTH);
+        const cipher = sealed.subarray(6 + id_length + IV_LENGTH);
+        try {
+            return new Uint8Array(await subtle().decrypt(
+                { name: "AES-GCM", iv, additionalData: text_encoder.encode(aad) },
+                key,
+                cipher
+            ));
+        } catch (e) {
+            throw new Error("Unable to decrypt payload with key " + key_id);
+        }
+    }
+}
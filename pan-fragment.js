@@ -0,0 +1,162 @@
+// pan-fragment.js
+//
+// Splitting payloads that are too large for a single packet, and putting
+// them back together on the other side.
+//
+// Each fragment is an ordinary packet whose payload starts with a header:
+//
+//   magic     4 bytes   0x00 'P' 'F' 'G'
+//   version   1 byte
+//   transfer  16 bytes  uuid shared by all fragments of one message
+//   index     uint16    big endian, 0 based
+//   count     uint16    big endian
+//
+// followed by that fragment's slice of the original payload. Fragments
+// travel with the original envelope (to, message_type, ttl) so they are
+// routed exactly like the message they are part of.
+//
+
+import { parse as uuid_parse, stringify as uuid_stringify } from "uuid";
+
+const FRAGMENT_MAGIC = [0x00, 0x50, 0x46, 0x47];
+const FRAGMENT_VERSION = 1;
+export const FRAGMENT_HEADER_SIZE = 25;
+const MAX_FRAGMENTS = 0xffff;
+
+export const REASSEMBLY_DEFAULTS = {
+    timeout_ms: 30000,
+    max_bytes: 16 * 1024 * 1024,
+    max_transfers: 64,
+};
+
+export function is_fragment(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length < FRAGMENT_HEADER_SIZE) return false;
+    for (let i = 0; i < FRAGMENT_MAGIC.length; i++) {
+        if (bytes[i] !== FRAGMENT_MAGIC[i]) return false;
+    }
+    return bytes[4] === FRAGMENT_VERSION;
+}
+
+// Split payload into fragment payloads of at most max_size bytes each
+export function split_payload(payload, max_size, transfer_id) {
+    const chunk_size = max_size - FRAGMENT_HEADER_SIZE;
+    if (chunk_size <= 0) throw new Error("Packet too small to carry fragments");
+    const count = Math.ceil(payload.length / chunk_size);
+    if (count > MAX_FRAGMENTS) {
+        throw new Error("Payload of " + payload.length + " bytes needs too many fragments");
+    }
+
+    const id_bytes = uuid_parse(transfer_id);
+    const fragments = [];
+    for (let index = 0; index < count; index++) {
+        const chunk = payload.subarray(index * chunk_size, (index + 1) * chunk_size);
+        const frag = new Uint8Array(FRAGMENT_HEADER_SIZE + chunk.length);
+        const view = new DataView(frag.buffer);
+        frag.set(FRAGMENT_MAGIC, 0);
+        frag[4] = FRAGMENT_VERSION;
+        frag.set(id_bytes, 5);
+        view.setUint16(21, index);
+        view.setUint16(23, count);
+        frag.set(chunk, FRAGMENT_HEADER_SIZE);
+        fragments.push(frag);
+    }
+    return fragments;
+}
+
+function parse_fragment(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        transfer_id: uuid_stringify(bytes.subarray(5, 21)),
+        index: view.getUint16(21),
+        count: view.getUint16(23),
+        data: bytes.subarray(FRAGMENT_HEADER_SIZE),
+    };
+}
+
+/** Reassembler - collects fragments per sender until a message is whole */
+export class Reassembler {
+    constructor(opts = {}) {
+        this.timeout = opts.timeout_ms ?? REASSEMBLY_DEFAULTS.timeout_ms;
+        this.max_bytes = opts.max_bytes ?? REASSEMBLY_DEFAULTS.max_bytes;
+        this.max_transfers = opts.max_transfers ?? REASSEMBLY_DEFAULTS.max_transfers;
+        this.on_drop = opts.on_drop || (() => {});
+        this.transfers = new Map(); // sender:transfer_id -> transfer, oldest first
+        this.total_bytes = 0;
+    }
+
+    // Add one fragment from sender_key. Returns { transfer_id, payload }
+    // once every fragment has arrived (in any order), otherwise null.
+    add(sender_key, bytes, now = Date.now()) {
+        this.expire(now);
+        const frag = parse_fragment(bytes);
+        const key = sender_key + ":" + frag.transfer_id;
+
+        let transfer = this.transfers.get(key);
+        if (!transfer) {
+            if (frag.count == 0) return null;
+            transfer = {
+                key,
+                sender: sender_key,
+                transfer_id: frag.transfer_id,
+                count: frag.count,
+                parts: new Array(frag.count),
+                received: 0,
+                bytes: 0,
+                started_at: now,
+            };
+            // an abandoned transfer times out without waiting for another
+            // fragment to arrive; the timer doesn't keep a process alive
+            transfer.timer = setTimeout(() => this.drop(transfer, "timeout"), this.timeout);
+            transfer.timer.unref?.();
+            this.transfers.set(key, transfer);
+            while (this.transfers.size > this.max_transfers) {
+                this.drop(this.transfers.values().next().value, "too many transfers");
+            }
+        }
+
+        if (frag.count !== transfer.count || frag.index >= transfer.count) {
+            this.drop(transfer, "inconsistent fragment");
+            return null;
+        }
+        // duplicate fragment
+        if (transfer.parts[frag.index]) return null;
+
+        transfer.parts[frag.index] = frag.data;
+        transfer.received++;
+        transfer.bytes += frag.data.length;
+        this.total_bytes += frag.data.length;
+
+        while (this.total_bytes > this.max_bytes && this.transfers.size > 0) {
+            this.drop(this.transfers.values().next().value, "memory limit");
+        }
+        if (!this.transfers.has(key) || transfer.received < transfer.count) return null;
+
+        this.remove(transfer);
+        const payload = new Uint8Array(transfer.bytes);
+        let offset = 0;
+        for (const part of transfer.parts) {
+            payload.set(part, offset);
+            offset += part.length;
+        }
+        return { transfer_id: transfer.transfer_id, payload };
+    }
+
+    // drop transfers that have been incomplete for longer than timeout
+    expire(now = Date.now()) {
+        for (const transfer of this.transfers.values()) {
+            if (now - transfer.started_at <= this.timeout) break;
+            this.drop(transfer, "timeout");
+        }
+    }
+
+    drop(transfer, reason) {
+        this.remove(transfer);
+        this.on_drop(transfer, reason);
+    }
+
+    remove(transfer) {
+        clearTimeout(transfer.timer);
+        this.transfers.delete(transfer.key);
+        this.total_bytes -= transfer.bytes;
+    }
+}
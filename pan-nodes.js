@@ -0,0 +1,88 @@
+// pan-nodes.js
+//
+// The nodes an agent may attach to, and the order to try them in.
+//
+// An agent can be given several access point URLs. Whenever it connects it
+// works down the list from candidates(), moving on to the next node when
+// one can't be reached or turns us away. The order depends on the strategy:
+//
+//   ordered  as given: the first node is preferred, the rest are fallbacks
+//   random   shuffled for every attempt, to spread agents across nodes
+//   latency  fastest measured connect time first, unmeasured nodes last
+//
+
+export const NODE_STRATEGIES = ["ordered", "random", "latency"];
+
+function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+/** NodeList - access point URLs and what we've learned about each */
+export class NodeList {
+    constructor(urls, strategy = "ordered") {
+        if (!NODE_STRATEGIES.includes(strategy)) throw new Error("Unknown node strategy: " + strategy);
+        this.strategy = strategy;
+        this.nodes = [...new Set(urls)].map((url) => ({
+            url,
+            latency_ms: null,
+            failures: 0,
+            last_error: null,
+            last_failure_at: null,
+            last_connected_at: null,
+        }));
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    get(url) {
+        return this.nodes.find((node) => node.url === url);
+    }
+
+    // nodes we have no latency for, either never measured or failed since
+    unmeasured() {
+        return this.nodes.filter((node) => node.latency_ms === null);
+    }
+
+    // the nodes to try, in order, for one connection attempt
+    candidates() {
+        const nodes = [...this.nodes];
+        if (this.strategy == "random") return shuffle(nodes);
+        if (this.strategy == "latency") {
+            // sort is stable, so ties keep the order they were given in
+            nodes.sort((a, b) => (a.latency_ms ?? Infinity) - (b.latency_ms ?? Infinity));
+        }
+        return nodes;
+    }
+
+    record_latency(url, ms) {
+        const node = this.get(url);
+        if (node) node.latency_ms = ms;
+    }
+
+    record_connected(url, ms) {
+        const node = this.get(url);
+        if (!node) return;
+        node.latency_ms = ms;
+        node.last_connected_at = Date.now();
+    }
+
+    // a failed node has to be measured again before latency prefers it
+    record_failure(url, error) {
+        const node = this.get(url);
+        if (!node) return;
+        node.failures++;
+        node.latency_ms = null;
+        node.last_error = error?.message ?? String(error);
+        node.last_failure_at = Date.now();
+    }
+
+    snapshot() {
+        return this.nodes.map((node) => ({ ...node }));
+    }
+}
@@ -0,0 +1,188 @@
+// pan-rate-limit.js
+//
+// Outbound rate limiting with token buckets.
+//
+// A limit is { rate, burst, policy, max_queued }: rate is messages per
+// second, burst how many may go out back to back (defaults to rate). Limits
+// can be set on the agent, a group, and a group's message types; a message
+// goes out once every limit that applies to it has a token to spare.
+//
+// When a message is over a limit, the most specific limit it is over
+// decides what happens:
+//
+//   queue        hold it until tokens are available (at most max_queued)
+//   drop_oldest  as queue, but when full the oldest held message is dropped
+//   throw        reject it with an error
+//
+// Held messages are released in order; one only waits for the messages
+// ahead of it that are held up by a limit it shares.
+//
+
+export const RATE_LIMIT_POLICIES = ["queue", "drop_oldest", "throw"];
+
+export const RATE_LIMIT_DEFAULTS = {
+    policy: "queue",
+    max_queued: 1000,
+};
+
+/** TokenBucket - one configured limit and its current tokens */
+export class TokenBucket {
+    constructor(opts) {
+        if (!(opts.rate > 0)) throw new Error("Rate limit needs a positive rate");
+        this.rate = opts.rate;
+        this.burst = Math.max(1, opts.burst ?? opts.rate);
+        this.policy = opts.policy ?? RATE_LIMIT_DEFAULTS.policy;
+        this.max_queued = Math.max(1, opts.max_queued ?? RATE_LIMIT_DEFAULTS.max_queued);
+        if (!RATE_LIMIT_POLICIES.includes(this.policy)) {
+            throw new Error("Unknown rate limit policy: " + this.policy);
+        }
+        this.tokens = this.burst;
+        this.updated = Date.now();
+        this.queued = 0; // held messages this limit is holding up
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updated) * this.rate / 1000);
+        this.updated = now;
+    }
+
+    available(now) {
+        this.refill(now);
+        return this.tokens >= 1;
+    }
+
+    take(now) {
+        this.refill(now);
+        this.tokens -= 1;
+    }
+
+    // ms until a token is available
+    wait_ms(now) {
+        this.refill(now);
+        return (this.tokens >= 1) ? 0 : Math.ceil((1 - this.tokens) * 1000 / this.rate);
+    }
+}
+
+// Anything falsy means no limit
+export function create_bucket(opts) {
+    if (!opts) return null;
+    return new TokenBucket(opts);
+}
+
+/** RateLimiter - holds messages that are over their limits */
+export class RateLimiter {
+    // on_release(entry) sends a held message once it may go.
+    // on_limited(entry, limit, action) reports queued, dropped and rejected
+    // messages, where limit is the { level, bucket } responsible.
+    constructor(opts) {
+        this.on_release = opts.on_release;
+        this.on_limited = opts.on_limited || (() => {});
+        this.pending = []; // { msg, limits, limit, waiter }, oldest first
+        this.blocked = new Set(); // buckets held messages are waiting on
+        this.timer = null;
+    }
+
+    // limits is [{ level, bucket }], most specific first. Returns true if
+    // msg may go now, false if it is being held. Throws if it is rejected.
+    admit(msg, limits, waiter) {
+        // anything already due goes first
+        if (this.pending.length > 0) this.release();
+
+        const now = Date.now();
+        const limit = this.blocking_limit(limits, now);
+        if (!limit) {
+            for (const { bucket } of limits) bucket.take(now);
+            return true;
+        }
+
+        const entry = { msg, limits, limit, waiter };
+        const bucket = limit.bucket;
+        if (bucket.policy == "throw") {
+            this.on_limited(entry, limit, "rejected");
+            throw new Error("Rate limit exceeded (" + limit.level + ")");
+        }
+        if (bucket.queued >= bucket.max_queued) {
+            if (bucket.policy != "drop_oldest") {
+                this.on_limited(entry, limit, "rejected");
+                throw new Error("Rate limit queue full (" + limit.level + ")");
+            }
+            const oldest = this.pending.find((e) => e.limit.bucket === bucket);
+            this.remove(oldest);
+            this.on_limited(oldest, limit, "dropped");
+            oldest.waiter?.reject(new Error("Dropped by rate limit (" + limit.level + ")"));
+        }
+
+        this.pending.push(entry);
+        bucket.queued++;
+        for (const l of limits) {
+            if (!l.bucket.available(now)) this.blocked.add(l.bucket);
+        }
+        this.blocked.add(bucket);
+        this.on_limited(entry, limit, "queued");
+        this.schedule();
+        return false;
+    }
+
+    // The most specific limit that keeps a message from going now, if any
+    blocking_limit(limits, now) {
+        return limits.find(({ bucket }) => this.blocked.has(bucket) || !bucket.available(now));
+    }
+
+    schedule() {
+        if (this.timer || this.pending.length == 0) return;
+        const now = Date.now();
+        let delay = Infinity;
+        for (const entry of this.pending) {
+            delay = Math.min(delay, Math.max(...entry.limits.map(({ bucket }) => bucket.wait_ms(now))));
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.release();
+        }, delay);
+    }
+
+    // Send whatever the buckets now allow. A held message only waits for
+    // earlier ones held up by the same limit, so order is kept per limit.
+    release() {
+        const now = Date.now();
+        this.blocked = new Set();
+        for (const entry of [...this.pending]) {
+            const limit = this.blocking_limit(entry.limits, now);
+            if (limit) {
+                if (limit.bucket !== entry.limit.bucket) {
+                    entry.limit.bucket.queued--;
+                    limit.bucket.queued++;
+                    entry.limit = limit;
+                }
+                for (const l of entry.limits) {
+                    if (!l.bucket.available(now)) this.blocked.add(l.bucket);
+                }
+                this.blocked.add(limit.bucket);
+                continue;
+            }
+            for (const { bucket } of entry.limits) bucket.take(now);
+            this.remove(entry);
+            this.on_release(entry);
+        }
+        this.schedule();
+    }
+
+    remove(entry) {
+        const index = this.pending.indexOf(entry);
+        if (index < 0) return;
+        this.pending.splice(index, 1);
+        entry.limit.bucket.queued--;
+    }
+
+    clear(err) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const entries = this.pending;
+        this.pending = [];
+        this.blocked = new Set();
+        for (const entry of entries) {
+            entry.limit.bucket.queued--;
+            entry.waiter?.reject(err);
+        }
+    }
+}
@@ -0,0 +1,154 @@
+// pan-recorder.js
+//
+// Recording an agent's traffic, and replaying it into another agent.
+//
+// With the `record` option, PanAgent writes every packet it sends or
+// receives, control messages included, as one JSON line each:
+//
+//   {"t":1718000000123,"dir":"in","packet":{...decoded packet...}}
+//
+// Binary values (payloads, usually) are written as {"$bytes": "<base64>"}.
+// The sink is a function taking each line, or anything with write(line),
+// such as a Node file stream:
+//
+//   const agent = new PanAgent({ url, app_id, record: fs.createWriteStream("traffic.jsonl") });
+//
+// replay() feeds the inbound packets of a recording back into an agent's
+// handle_inbound_message(), in order, at the original pace or faster. A
+// replay agent takes them without being connected:
+//
+//   import { replay } from "pan-agent/replay";
+//   const agent = new PanAgent({ app_id, replay: true });
+//   agent.join_group("chat-room", handlers);
+//   await replay(agent, fs.readFileSync("traffic.jsonl", "utf8"), { speed: 10 });
+//
+
+const BYTES_KEY = "$bytes";
+
+function bytes_to_base64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64_to_bytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export function serialize_record(record) {
+    return JSON.stringify(record, function (key, value) {
+        // JSON.stringify has already turned Buffers into { type, data } by
+        // the time value gets here, so look at the original
+        const original = this[key];
+        if (original instanceof ArrayBuffer) {
+            return { [BYTES_KEY]: bytes_to_base64(new Uint8Array(original)) };
+        }
+        if (ArrayBuffer.isView(original)) {
+            return { [BYTES_KEY]: bytes_to_base64(new Uint8Array(original.buffer, original.byteOffset, original.byteLength)) };
+        }
+        return value;
+    });
+}
+
+export function parse_record(line) {
+    return JSON.parse(line, (key, value) => {
+        if (value && typeof value == 'object' && typeof value[BYTES_KEY] == 'string' && Object.keys(value).length == 1) {
+            return base64_to_bytes(value[BYTES_KEY]);
+        }
+        return value;
+    });
+}
+
+/** PacketRecorder - writes packets to a JSONL sink */
+export class PacketRecorder {
+    constructor(sink) {
+        if (typeof sink == 'function') {
+            this.write = sink;
+        } else if (sink && typeof sink.write == 'function') {
+            this.write = (line) => sink.write(line);
+        } else {
+            throw new Error("A recording sink must be a function or have a write() method");
+        }
+    }
+
+    // Packets are serialized right away; the agent goes on to modify them
+    record(direction, packet) {
+        const line = serialize_record({ t: Date.now(), dir: direction, packet }) + "\n";
+        try {
+            this.write(line);
+        } catch (e) {
+            console.error('Unable to write packet recording', e);
+        }
+    }
+}
+
+// A recording may be JSONL text, an array of lines or records, or an
+// (async) iterable of lines such as a readline interface.
+async function* read_records(recording) {
+    if (typeof recording == 'string') recording = recording.split("\n");
+    for await (const item of recording) {
+        if (typeof item != 'string') {
+            yield item;
+            continue;
+        }
+        const line = item.trim();
+        if (line) yield parse_record(line);
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            signal?.removeEventListener("abort", cancel);
+            resolve();
+        }
+        function cancel() {
+            clearTimeout(timer);
+            reject(new Error("Replay aborted"));
+        }
+        signal?.addEventListener("abort", cancel, { once: true });
+    });
+}
+
+/**
+ * Feed the inbound packets of a recording to agent.handle_inbound_message()
+ *
+ * opts:
+ *   speed      1 (default) keeps the original timing, 10 is ten times
+ *              faster, Infinity replays without waiting
+ *   on_record  (record) => {} called for every record, outbound ones too,
+ *              just before it is replayed
+ *   signal     an AbortSignal to stop replaying
+ *
+ * Resolves with the number of packets fed to the agent.
+ */
+export async function replay(agent, recording, opts = {}) {
+    const speed = opts.speed ?? 1;
+    if (!(speed > 0)) throw new Error("Replay speed must be positive");
+    const signal = opts.signal;
+
+    let previous = null;
+    let fed = 0;
+    for await (const record of read_records(recording)) {
+        if (signal?.aborted) throw new Error("Replay aborted");
+        if (previous !== null && speed !== Infinity) {
+            const delay = (record.t - previous) / speed;
+            if (delay > 0) await sleep(delay, signal);
+        }
+        previous = record.t;
+
+        opts.on_record?.(record);
+        if (record.dir != "in") continue;
+        agent.handle_inbound_message(record.packet);
+        fed++;
+    }
+    return fed;
+}
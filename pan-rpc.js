@@ -0,0 +1,200 @@
+// pan-rpc.js
+//
+// Optional request/response helper built on direct messages.
+//
+// The agent core deliberately has no request/response semantics. PanRpc
+// layers them on top without changing the message format: requests,
+// responses and cancellations are ordinary direct messages of type
+// "pan.rpc" whose JSON payload carries a correlation id.
+//
+//   const rpc = new PanRpc(agent);
+//   rpc.register("time", async (params, ctx) => Date.now());
+//   const t = await rpc.call({ node_id, conn_id }, "time", {}, { timeout_ms: 2000 });
+//
+
+import { v4 as uuidv4 } from "uuid";
+import { json_codec } from './pan-codec.js';
+
+const RPC_MESSAGE_TYPE = "pan.rpc";
+const RPC_VERSION = 1;
+
+function peer_key(from) {
+    return from.node_id + ":" + from.conn_id;
+}
+
+function rpc_error(message, code, data) {
+    const err = new Error(message);
+    err.code = code;
+    if (data !== undefined) err.data = data;
+    return err;
+}
+
+/** PanRpc */
+export class PanRpc {
+    constructor(agent, opts = {}) {
+        if (!agent) throw new Error("PanRpc requires an agent");
+        this.agent = agent;
+        this.timeout = opts.timeout_ms ?? opts.timeout ?? agent.request_timeout ?? 10000;
+        this.methods = new Map();     // method -> handler
+        this.pending = new Map();     // id -> {resolve, reject, timer, to, method}
+        this.in_flight = new Map();   // peer:id -> AbortController
+
+        this._on_direct = (evt) => this.handle_direct_message(evt);
+        this.agent.on_direct(RPC_MESSAGE_TYPE, this._on_direct, { codec: json_codec });
+    }
+
+    /** Register a handler: async (params, { from, message, signal }) => result */
+    register(method, handler) {
+        if (typeof handler != 'function') throw new Error("RPC handler must be a function");
+        this.methods.set(method, handler);
+    }
+
+    unregister(method) {
+        this.methods.delete(method);
+    }
+
+    /**
+     * Call a method on another agent. Resolves with its result.
+     * opts: { timeout_ms (or timeout), signal, ttl }
+     */
+    call(to, method, params, opts = {}) {
+        const id = uuidv4();
+        const timeout_ms = opts.timeout_ms ?? opts.timeout ?? this.timeout;
+        const signal = opts.signal;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(rpc_error("RPC call cancelled: " + method, "cancelled"));
+                return;
+            }
+
+            const entry = { resolve, reject, to, method, signal };
+            const fail = (err) => {
+                this.finish(id);
+                try {
+                    this.send_rpc(to, { kind: "cancel", id }, opts);
+                } catch {}
+                reject(err);
+            };
+            entry.timer = setTimeout(() => {
+                fail(rpc_error("RPC call timed out: " + method, "timeout"));
+            }, timeout_ms);
+            if (signal) {
+                entry.on_abort = () => fail(rpc_error("RPC call cancelled: " + method, "cancelled"));
+                signal.addEventListener("abort", entry.on_abort, { once: true });
+            }
+            this.pending.set(id, entry);
+
+            try {
+                this.send_rpc(to, { kind: "request", id, method, params }, opts);
+            } catch (e) {
+                this.finish(id);
+                reject(e);
+            }
+        });
+    }
+
+    /** Stop handling RPC traffic and fail any outstanding calls */
+    close() {
+        this.agent.off_direct(RPC_MESSAGE_TYPE, this._on_direct);
+        for (const [id, entry] of [...this.pending]) {
+            this.finish(id);
+            entry.reject(rpc_error("RPC closed", "closed"));
+        }
+        for (const controller of this.in_flight.values()) {
+            controller.abort();
+        }
+        this.in_flight.clear();
+    }
+
+    // forget a pending call, returning its entry
+    finish(id) {
+        const entry = this.pending.get(id);
+        if (!entry) return null;
+        this.pending.delete(id);
+        clearTimeout(entry.timer);
+        if (entry.on_abort) entry.signal.removeEventListener("abort", entry.on_abort);
+        return entry;
+    }
+
+    send_rpc(to, body, opts = {}) {
+        const payload = { pan_rpc: RPC_VERSION, ...body };
+        return this.agent.send_direct(
+            { node_id: to.node_id, conn_id: to.conn_id },
+            RPC_MESSAGE_TYPE,
+            payload,
+            { ttl: opts.ttl }
+        );
+    }
+
+    handle_direct_message(evt) {
+        const msg = evt.message;
+        const body = evt.payload;
+        if (!body || body.pan_rpc !== RPC_VERSION || typeof body.id != 'string') return;
+
+        switch (body.kind) {
+            case "request":
+                this.handle_request(msg, body);
+                break;
+
+            case "response":
+                this.handle_response(msg, body);
+                break;
+
+            case "cancel":
+                this.in_flight.get(peer_key(msg.from) + ":" + body.id)?.abort();
+                break;
+        }
+    }
+
+    async handle_request(msg, body) {
+        const from = msg.from;
+        const key = peer_key(from) + ":" + body.id;
+        const handler = this.methods.get(body.method);
+        if (!handler) {
+            this.respond(from, body.id, { error: { message: "Unknown method: " + body.method, code: "method_not_found" } });
+            return;
+        }
+
+        const controller = new AbortController();
+        this.in_flight.set(key, controller);
+        let response;
+        try {
+            const result = await handler(body.params, { from, message: msg, signal: controller.signal });
+            response = { result };
+        } catch (e) {
+            response = { error: { message: e?.message || String(e), code: e?.code, data: e?.data } };
+        } finally {
+            this.in_flight.delete(key);
+        }
+        // the caller has already given up on it
+        if (controller.signal.aborted) return;
+        this.respond(from, body.id, response);
+    }
+
+    respond(to, id, response) {
+        try {
+            this.send_rpc(to, { kind: "response", id, ...response });
+        } catch (e) {
+            this.agent._log("Unable to send RPC response", e.message);
+        }
+    }
+
+    handle_response(msg, body) {
+        const entry = this.pending.get(body.id);
+        if (!entry) return;
+        // only the agent we called may answer
+        if (peer_key(entry.to) !== peer_key(msg.from)) return;
+
+        this.finish(body.id);
+        if (body.error) {
+            const err = rpc_error(body.error.message || "Remote error", body.error.code, body.error.data);
+            err.remote = true;
+            entry.reject(err);
+        } else {
+            entry.resolve(body.result);
+        }
+    }
+}
+
+export default PanRpc;
@@ -0,0 +1,152 @@
+// pan-schema.js
+//
+// Payload validation for message types.
+//
+// Any implementation sharing an app_id can send us any message type, so
+// handlers can't assume a payload has the shape they expect. A message type
+// can be given a schema, which is either a validator function:
+//
+//   (payload) => true | false | "what's wrong" | ["what's wrong", ...]
+//
+// (returning nothing counts as valid and throwing counts as invalid, so
+// assertion style validators work too)
+//
+// or a JSON Schema object using this subset of keywords:
+//
+//   type, enum, const, properties, required, additionalProperties, items,
+//   minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+//   exclusiveMinimum, exclusiveMaximum, anyOf
+//
+// Unknown keywords are ignored, as JSON Schema itself does.
+//
+
+function type_of(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function has_type(value, type) {
+    switch (type) {
+        case "integer":
+            return Number.isInteger(value);
+        case "number":
+            return typeof value == 'number' && Number.isFinite(value);
+        default:
+            return type_of(value) === type;
+    }
+}
+
+function same_value(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function check(schema, value, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push(path + " is not allowed");
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((t) => has_type(value, t))) {
+            errors.push(path + " should be " + types.join(" or ") + ", got " + type_of(value));
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some((v) => same_value(v, value))) {
+        errors.push(path + " should be one of " + JSON.stringify(schema.enum));
+    }
+    if (schema.const !== undefined && !same_value(schema.const, value)) {
+        errors.push(path + " should be " + JSON.stringify(schema.const));
+    }
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some((s) => {
+            const sub = [];
+            check(s, value, path, sub);
+            return sub.length == 0;
+        });
+        if (!matched) errors.push(path + " does not match any allowed schema");
+    }
+
+    switch (type_of(value)) {
+        case "string":
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(path + " should be at least " + schema.minLength + " characters");
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(path + " should be at most " + schema.maxLength + " characters");
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+                errors.push(path + " should match " + schema.pattern);
+            }
+            break;
+
+        case "number":
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(path + " should be >= " + schema.minimum);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(path + " should be <= " + schema.maximum);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push(path + " should be > " + schema.exclusiveMinimum);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push(path + " should be < " + schema.exclusiveMaximum);
+            }
+            break;
+
+        case "array":
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(path + " should have at least " + schema.minItems + " items");
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(path + " should have at most " + schema.maxItems + " items");
+            }
+            if (schema.items !== undefined) {
+                value.forEach((item, i) => check(schema.items, item, path + "[" + i + "]", errors));
+            }
+            break;
+
+        case "object":
+            for (const name of schema.required || []) {
+                if (!Object.hasOwn(value, name)) errors.push(path + "." + name + " is required");
+            }
+            for (const [name, item] of Object.entries(value)) {
+                if (schema.properties && Object.hasOwn(schema.properties, name)) {
+                    check(schema.properties[name], item, path + "." + name, errors);
+                } else if (schema.additionalProperties !== undefined) {
+                    check(schema.additionalProperties, item, path + "." + name, errors);
+                }
+            }
+            break;
+    }
+}
+
+// Turn a schema or validator function into (payload) => [errors], where an
+// empty list means the payload is valid.
+export function compile_schema(schema) {
+    if (typeof schema == 'function') {
+        return (value) => {
+            let result;
+            try {
+                result = schema(value);
+            } catch (e) {
+                return [e?.message || String(e)];
+            }
+            if (result === true || result === undefined) return [];
+            if (result === false) return ["payload is invalid"];
+            return Array.isArray(result) ? result.map(String) : [String(result)];
+        };
+    }
+    if (schema && typeof schema == 'object') {
+        return (value) => {
+            const errors = [];
+            check(schema, value, "$", errors);
+            return errors;
+        };
+    }
+    throw new Error("A schema must be a JSON Schema object or a validator function");
+}
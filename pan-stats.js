@@ -0,0 +1,182 @@
+// pan-stats.js
+//
+// Rolling rates and Prometheus text export for agent stats.
+//
+// PanAgent keeps plain counters in agent.stats. This module adds the
+// pieces that need more than a counter: rates averaged over sliding
+// windows, and rendering a get_stats() snapshot in the Prometheus text
+// exposition format (version 0.0.4) for a metrics endpoint:
+//
+//   http.createServer((req, res) => {
+//       res.setHeader("Content-Type", "text/plain; version=0.0.4");
+//       res.end(agent.get_stats_prometheus());
+//   });
+//
+
+export const STATS_DEFAULTS = {
+    rate_windows_ms: [10000, 60000, 300000],
+    resolution_ms: 1000,
+};
+
+// 10000 -> "10s", 300000 -> "5m"
+export function window_label(ms) {
+    if (ms % 60000 == 0) return (ms / 60000) + "m";
+    if (ms % 1000 == 0) return (ms / 1000) + "s";
+    return ms + "ms";
+}
+
+/** RollingRate - per second rates over sliding windows */
+export class RollingRate {
+    constructor(opts = {}) {
+        this.windows = opts.rate_windows_ms ?? STATS_DEFAULTS.rate_windows_ms;
+        this.resolution = opts.resolution_ms ?? STATS_DEFAULTS.resolution_ms;
+        // one more slot than the longest window, for the one filling up now
+        this.slots = new Array(Math.ceil(Math.max(...this.windows) / this.resolution) + 1).fill(0);
+        this.current = Math.floor(Date.now() / this.resolution);
+    }
+
+    // move to the slot for now, clearing any we skipped over
+    advance(now) {
+        const slot = Math.floor(now / this.resolution);
+        const steps = Math.min(slot - this.current, this.slots.length);
+        for (let i = 1; i <= steps; i++) {
+            this.slots[(this.current + i) % this.slots.length] = 0;
+        }
+        if (slot > this.current) this.current = slot;
+    }
+
+    add(n, now = Date.now()) {
+        this.advance(now);
+        this.slots[this.current % this.slots.length] += n;
+    }
+
+    // { "10s": per_second, ... } for each window, over the most recent
+    // complete slots so a slot that just started doesn't drag rates down
+    rates(now = Date.now()) {
+        this.advance(now);
+        const rates = {};
+        for (const window of this.windows) {
+            const count = Math.ceil(window / this.resolution);
+            let sum = 0;
+            for (let i = 1; i <= count; i++) {
+                sum += this.slots[(this.current - i) % this.slots.length];
+            }
+            rates[window_label(window)] = sum * 1000 / (count * this.resolution);
+        }
+        return rates;
+    }
+}
+
+/** RttTracker - round trip times, summarized over the latest samples */
+export class RttTracker {
+    constructor(max_samples = 20) {
+        this.max_samples = max_samples;
+        this.samples = [];
+        this.last = null;
+        this.total = 0;
+    }
+
+    add(ms) {
+        this.samples.push(ms);
+        if (this.samples.length > this.max_samples) this.samples.shift();
+        this.last = ms;
+        this.total++;
+    }
+
+    // { last, min, avg, max, samples } in ms, or nulls before any sample
+    summary() {
+        const n = this.samples.length;
+        return {
+            last: this.last,
+            min: n ? Math.min(...this.samples) : null,
+            avg: n ? this.samples.reduce((a, b) => a + b, 0) / n : null,
+            max: n ? Math.max(...this.samples) : null,
+            samples: this.total,
+        };
+    }
+}
+
+function escape_label(value) {
+    return String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function format_labels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => k + '="' + escape_label(v) + '"');
+    return parts.length ? "{" + parts.join(",") + "}" : "";
+}
+
+// Render a get_stats() snapshot as Prometheus text. Every metric name is
+// prefixed with opts.prefix (default "pan_agent").
+export function render_prometheus(stats, opts = {}) {
+    const prefix = opts.prefix ?? "pan_agent";
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push("# HELP " + prefix + "_" + name + " " + help);
+        lines.push("# TYPE " + prefix + "_" + name + " " + type);
+        for (const [labels, value] of samples) {
+            lines.push(prefix + "_" + name + format_labels(labels) + " " + Number(value));
+        }
+    };
+
+    const by_direction = (key_in, key_out) => [
+        [{ direction: "in" }, stats[key_in]],
+        [{ direction: "out" }, stats[key_out]],
+    ];
+    const breakdown = (field, label) => [
+        ...Object.entries(stats[field + "_in_by_" + label] || {}).map(([k, v]) => [{ direction: "in", [label]: k }, v]),
+        ...Object.entries(stats[field + "_out_by_" + label] || {}).map(([k, v]) => [{ direction: "out", [label]: k }, v]),
+    ];
+
+    metric("messages_total", "counter", "Packets sent and received.", by_direction("msgs_in_total", "msgs_out_total"));
+    metric("bytes_total", "counter", "Bytes sent and received on the wire.", by_direction("bytes_in", "bytes_out"));
+    metric("messages_by_type_total", "counter", "Packets by envelope type.", breakdown("msgs", "type"));
+    metric("messages_by_encoding_total", "counter", "Packets by wire encoding.", breakdown("msgs", "encoding"));
+    metric("bytes_by_encoding_total", "counter", "Bytes by wire encoding.", breakdown("bytes", "encoding"));
+
+    const groups = Object.entries(stats.by_group || {});
+    const group_samples = (field) => groups.flatMap(([group_id, g]) => [
+        [{ direction: "in", group_id, group: g.name }, g[field + "_in"]],
+        [{ direction: "out", group_id, group: g.name }, g[field + "_out"]],
+    ]);
+    const type_samples = (field) => groups.flatMap(([group_id, g]) =>
+        Object.entries(g.by_message_type).flatMap(([message_type_id, t]) => [
+            [{ direction: "in", group_id, group: g.name, message_type_id, message_type: t.name }, t[field + "_in"]],
+            [{ direction: "out", group_id, group: g.name, message_type_id, message_type: t.name }, t[field + "_out"]],
+        ])
+    );
+    metric("group_messages_total", "counter", "Broadcast packets by group.", group_samples("msgs"));
+    metric("group_bytes_total", "counter", "Broadcast bytes by group.", group_samples("bytes"));
+    metric("message_type_messages_total", "counter", "Broadcast packets by group and message type.", type_samples("msgs"));
+    metric("message_type_bytes_total", "counter", "Broadcast bytes by group and message type.", type_samples("bytes"));
+
+    metric("errors_total", "counter", "Errors by kind.",
+        Object.entries(stats.errors || {}).map(([kind, v]) => [{ kind }, v]));
+    metric("dropped_total", "counter", "Messages dropped or rejected, by reason.", [
+        [{ direction: "in", reason: "duplicate" }, stats.msgs_in_duplicates],
+        [{ direction: "in", reason: "invalid" }, stats.msgs_in_invalid],
+        [{ direction: "in", reason: "unverified" }, stats.msgs_in_unverified],
+        [{ direction: "in", reason: "fragment" }, stats.fragments_dropped],
+        [{ direction: "out", reason: "invalid" }, stats.msgs_out_invalid],
+        [{ direction: "out", reason: "dropped" }, stats.msgs_out_dropped],
+    ]);
+    metric("rate_limited_total", "counter", "Outbound messages held or rejected by rate limits.",
+        [[{}, stats.msgs_out_rate_limited]]);
+
+    const rate_samples = (unit) => ["in", "out"].flatMap((direction) =>
+        Object.entries(stats.rates?.[unit + "_" + direction] || {}).map(([window, v]) => [{ direction, window }, v]));
+    metric("messages_per_second", "gauge", "Packets per second averaged over a window.", rate_samples("msgs"));
+    metric("bytes_per_second", "gauge", "Bytes per second averaged over a window.", rate_samples("bytes"));
+
+    const rtt = stats.rtt;
+    if (rtt && rtt.samples) {
+        metric("rtt_seconds", "gauge", "Keepalive round trip time over recent samples.",
+            ["last", "min", "avg", "max"].map((stat) => [{ stat }, rtt[stat] / 1000]));
+    }
+
+    const timestamps = [];
+    if (stats.connected_at) timestamps.push([{ event: "connected" }, stats.connected_at / 1000]);
+    if (stats.authenticated_at) timestamps.push([{ event: "authenticated" }, stats.authenticated_at / 1000]);
+    metric("timestamp_seconds", "gauge", "When the agent last connected and authenticated.", timestamps);
+
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,189 @@
+// pan-transport.js
+//
+// Transports carry raw, already encoded packets between a PanAgent and the
+// node it is attached to. The agent never touches a socket directly.
+//
+// A transport is any object with the dispatcher interface that provides:
+//   - open()              resolves once packets can be sent
+//   - send(raw)           send one encoded packet (string or bytes)
+//   - close(code, reason)
+//   - is_open()
+//   - bufferedAmount      bytes accepted by send() but not yet written
+//
+// and emits:
+//   - "message"  raw packet data
+//   - "close"    { code, reason }
+//   - "error"    Error
+//
+// Transports that can ping at their own level (for keepalives) also
+// provide can_ping() and ping(), and emit "pong" for each reply.
+//
+// WebSocketTransport is the default. LoopbackTransport provides in-memory
+// pairs so agents (and test nodes) can be wired together in one process.
+//
+
+import { attachDispatcher } from '@ionzero/dispatcher';
+
+const WS_OPEN = 1;
+
+// Browsers (and Node 22+) provide a global WebSocket. pan-agent-node.js
+// installs the `ws` package here for Node.
+let WebSocketImpl = globalThis.WebSocket;
+
+export function set_websocket_implementation(impl) {
+    WebSocketImpl = impl;
+}
+
+// Both browser WebSockets and `ws` implement EventTarget, so we stick to
+// addEventListener rather than ws's EventEmitter .on()/.once().
+function on_socket(ws, type, fn, once = false) {
+    ws.addEventListener(type, fn, { once });
+}
+
+function socket_error(evt) {
+    return evt?.error || new Error(evt?.message || "WebSocket error");
+}
+
+/** WebSocketTransport - the default transport */
+export class WebSocketTransport {
+    constructor(url, opts = {}) {
+        attachDispatcher(this);
+        if (!url) throw new Error("WebSocketTransport requires url");
+        this.url = url;
+        this.connect_timeout = opts.connect_timeout_ms ?? 8000;
+        this.WebSocket = opts.WebSocket || WebSocketImpl;
+        this.ws = null;
+    }
+
+    get bufferedAmount() {
+        return this.ws?.bufferedAmount ?? 0;
+    }
+
+    is_open() {
+        return !!this.ws && this.ws.readyState === WS_OPEN;
+    }
+
+    async open() {
+        if (typeof this.WebSocket != 'function') {
+            throw new Error("No WebSocket implementation available");
+        }
+        const ws = new this.WebSocket(this.url);
+        ws.binaryType = "arraybuffer";
+        this.ws = ws;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error("WebSocket connect timeout")), this.connect_timeout);
+                on_socket(ws, "open", () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, true);
+                on_socket(ws, "error", (evt) => {
+                    clearTimeout(timer);
+                    reject(socket_error(evt));
+                }, true);
+            });
+        } catch (e) {
+            this.ws = null;
+            try {
+                ws.terminate ? ws.terminate() : ws.close();
+            } catch {}
+            throw e;
+        }
+
+        on_socket(ws, "message", (evt) => {
+            this.emit("message", evt.data);
+        });
+        on_socket(ws, "close", (evt) => {
+            if (this.ws === ws) this.ws = null;
+            this.emit("close", { code: evt.code, reason: String(evt.reason ?? "") });
+        });
+        on_socket(ws, "error", (evt) => {
+            this.emit("error", socket_error(evt));
+        });
+        // only ws has ping frames; browsers handle them out of our sight
+        if (typeof ws.ping == 'function' && typeof ws.on == 'function') {
+            ws.on("pong", () => this.emit("pong"));
+        }
+    }
+
+    can_ping() {
+        return this.is_open() && typeof this.ws.ping == 'function';
+    }
+
+    ping() {
+        if (!this.can_ping()) throw new Error("WebSocket ping not available");
+        this.ws.ping();
+    }
+
+    send(raw) {
+        if (!this.is_open()) throw new Error("WebSocket not open");
+        this.ws.send(raw);
+    }
+
+    close(code = 1000, reason = "") {
+        if (!this.ws) return;
+        this.ws.close(code, reason);
+    }
+}
+
+/** LoopbackTransport - one end of an in-memory transport pair */
+export class LoopbackTransport {
+    constructor() {
+        attachDispatcher(this);
+        this.peer = null;
+        this.opened = false;
+        this.closed = false;
+        this.bufferedAmount = 0;
+    }
+
+    // Create two connected ends. Whatever is sent on one end arrives on the
+    // other, asynchronously and in order, as it would over a socket.
+    static pair() {
+        const a = new LoopbackTransport();
+        const b = new LoopbackTransport();
+        a.peer = b;
+        b.peer = a;
+        return [a, b];
+    }
+
+    is_open() {
+        return this.opened && !this.closed;
+    }
+
+    async open() {
+        if (this.closed) throw new Error("Loopback transport is closed");
+        this.opened = true;
+    }
+
+    send(raw) {
+        if (!this.is_open()) throw new Error("Loopback transport not open");
+        const data = (typeof raw == 'string') ? raw : new Uint8Array(raw).slice();
+        const peer = this.peer;
+        setTimeout(() => {
+            if (!peer.closed) peer.emit("message", data);
+        }, 0);
+    }
+
+    can_ping() {
+        return this.is_open();
+    }
+
+    // the other end answers at once, as a socket would
+    ping() {
+        if (!this.is_open()) throw new Error("Loopback transport not open");
+        const peer = this.peer;
+        setTimeout(() => {
+            if (!peer.closed && !this.closed) this.emit("pong");
+        }, 0);
+    }
+
+    close(code = 1000, reason = "") {
+        if (this.closed) return;
+        this.closed = true;
+        setTimeout(() => this.emit("close", { code, reason }), 0);
+        // as over a socket, whatever was sent before closing still arrives
+        const peer = this.peer;
+        if (peer) setTimeout(() => peer.close(code, reason), 0);
+    }
+}
@@ -0,0 +1,65 @@
+// pan-trust.js
+//
+// Deciding whether to trust a node, from its helo, before we reveal who we
+// are to it.
+//
+// The node's helo names its identity (i_am, a URN) and may carry a
+// helo_token proving it. A trust policy is any combination of:
+//
+//   allow     node URNs we accept; anything else is rejected
+//   verifier  async (helo_payload, { url, urn, agent }) => true to trust
+//             the node, false or a reason string to reject it. Throwing
+//             rejects it too.
+//   pin       remember the first identity seen at each node URL and reject
+//             any other after that. `true` remembers them in memory; or
+//             give a store with get(url) and set(url, urn), either may be
+//             async, such as a Map or a wrapper around localStorage.
+//
+// Checks run in that order. A node is only pinned once it has passed the
+// others.
+//
+
+/** Normalize the trust option. Anything falsy trusts every node. */
+export function normalize_trust_opts(trust) {
+    if (!trust) return null;
+    if (trust.allow && !Array.isArray(trust.allow)) throw new Error("trust.allow must be an array of URNs");
+    if (trust.verifier && typeof trust.verifier != 'function') throw new Error("trust.verifier must be a function");
+    let pin = trust.pin || null;
+    if (pin === true) pin = new Map();
+    if (pin && (typeof pin.get != 'function' || typeof pin.set != 'function')) {
+        throw new Error("trust.pin must be true or provide get() and set()");
+    }
+    return { allow: trust.allow || null, verifier: trust.verifier || null, pin };
+}
+
+/**
+ * Check a helo payload against a trust policy. Resolves with null when the
+ * node is trusted, or the reason it isn't.
+ */
+export async function check_trust(trust, helo, context = {}) {
+    const urn = helo?.i_am;
+    if ((trust.allow || trust.pin) && typeof urn != 'string') {
+        return "node did not identify itself";
+    }
+    if (trust.allow && !trust.allow.includes(urn)) {
+        return "node " + urn + " is not allowlisted";
+    }
+    if (trust.verifier) {
+        let result;
+        try {
+            result = await trust.verifier(helo, { ...context, urn });
+        } catch (e) {
+            return e?.message || String(e);
+        }
+        if (result !== true) return typeof result == 'string' ? result : "rejected by verifier";
+    }
+    if (trust.pin) {
+        const key = context.url ?? "";
+        const pinned = await trust.pin.get(key);
+        if (pinned && pinned !== urn) {
+            return "node identity changed from " + pinned + " to " + urn;
+        }
+        if (!pinned) await trust.pin.set(key, urn);
+    }
+    return null;
+}
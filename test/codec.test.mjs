@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, until } from "./helpers/fake-node.mjs";
+
+test("binary payloads are refused by the json codec and sent intact with bytes", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("room", { blob: (e) => got.push(e.payload) }, { codec: "bytes" });
+    const plain = await a.join_group_async("room");
+    assert.throws(() => plain.send("blob", new Uint8Array([1, 2, 3])), /use codec: "bytes"/);
+    assert.throws(() => plain.send("blob", new Uint8Array([1]).buffer), /use codec: "bytes"/);
+
+    plain.send("blob", new Uint8Array([1, 2, 3]), { codec: "bytes" });
+    await until(() => got.length == 1);
+    assert.deepEqual([...got[0]], [1, 2, 3]);
+    a.close();
+    b.close();
+});
+
+test("handlers get decoded payloads and undecodable ones raise decode_error", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    const group_errors = [];
+    const agent_errors = [];
+    const room = await b.join_group_async("room", { chat: (e) => got.push(e.payload) });
+    room.on("decode_error", (e) => group_errors.push(e));
+    b.on("decode_error", (e) => agent_errors.push(e));
+    const sender = await a.join_group_async("room");
+
+    sender.send("chat", { text: "hi", n: [1, 2] });
+    await until(() => got.length == 1);
+    assert.deepEqual(got[0], { text: "hi", n: [1, 2] });
+
+    sender.send("chat", "not { json", { codec: "text" });
+    await until(() => group_errors.length == 1 && agent_errors.length == 1);
+    assert.ok(group_errors[0].error instanceof Error);
+    assert.equal(group_errors[0].group, room);
+    assert.equal(b.get_stats().errors.decode_errors, 1);
+    assert.equal(got.length, 1);
+    a.close();
+    b.close();
+});
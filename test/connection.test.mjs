@@ -0,0 +1,255 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PanAgent from "../pan-agent-node.js";
+import { FakeNode, APP_ID, nodes_factory, session, sleep, until } from "./helpers/fake-node.mjs";
+
+test("the agent reconnects after the node drops it and rejoins its groups", async () => {
+    const node = new FakeNode();
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        transport: node.factory(),
+        token_provider: ({ reconnect }) => "token:" + reconnect,
+        reconnect: { initial_delay_ms: 5, jitter: 0 },
+    });
+    await agent.open_session();
+    const first_conn = agent.conn_id;
+    const got = [];
+    await agent.join_group_async("room", { chat: (e) => got.push(e.payload.n) });
+
+    node.drop_all();
+    const { data } = await agent.waitFor("reconnected", { timeout: 2000 });
+    assert.equal(data.previous_conn_id, first_conn);
+    await until(() => node.control("join_group").length == 2);
+    assert.equal(node.control("auth").at(-1).payload.token, "token:" + first_conn);
+
+    const other = new PanAgent({ app_id: APP_ID, transport: node.factory(), token_provider: () => "token" });
+    await other.open_session();
+    (await other.join_group_async("room")).send("chat", { n: 1 });
+    await until(() => got.length == 1);
+    agent.close();
+    other.close();
+});
+
+test("a session the app opens during reconnect backoff is left alone", async () => {
+    const node = new FakeNode();
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        transport: node.factory(),
+        token_provider: () => "token",
+        reconnect: { initial_delay_ms: 100, jitter: 0 },
+    });
+    await agent.open_session();
+    const reconnecting = agent.waitFor("reconnecting", { timeout: 2000 });
+    node.drop_all();
+    await reconnecting;
+    await agent.connect();
+    await agent.when("CONNECTED_UNTRUSTED");
+    await agent.authenticate({ token: "token" });
+    const states = [];
+    agent.on("state_change", ({ to }) => states.push(to));
+    await sleep(250);
+    assert.equal(agent.state, "AUTHENTICATED");
+    assert.deepEqual(states, []);
+    assert.equal(node.control("auth").length, 2);
+    agent.close();
+});
+
+test("open_session fails over past unreachable and refusing nodes", async () => {
+    const refusing = new FakeNode({ reject_auth: true });
+    const good = new FakeNode();
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        urls: ["pan://down", "pan://refusing", "pan://good"],
+        transport: nodes_factory({ "pan://refusing": refusing, "pan://good": good }),
+        token_provider: () => "token",
+    });
+    const failed = [];
+    agent.on("node_failed", (e) => failed.push(e.url));
+    const session = await agent.open_session();
+    assert.equal(session.url, "pan://good");
+    assert.equal(session.node_id, good.node_id);
+    assert.deepEqual(failed, ["pan://down", "pan://refusing"]);
+    agent.close();
+});
+
+test("a node whose connection breaks right after opening is given up cleanly", async () => {
+    const broken = new FakeNode();
+    const good = new FakeNode();
+    const factory = nodes_factory({ "pan://broken": broken, "pan://good": good });
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        urls: ["pan://broken", "pan://good"],
+        transport: (url) => {
+            const transport = factory(url);
+            if (url == "pan://broken") {
+                transport.send = () => {
+                    throw new Error("socket gone");
+                };
+            }
+            return transport;
+        },
+        token_provider: () => "token",
+    });
+    const failed = [];
+    agent.on("node_failed", (e) => failed.push(e.error.message));
+    const session = await agent.open_session();
+    assert.equal(session.url, "pan://good");
+    assert.deepEqual(failed, ["socket gone"]);
+    await until(() => broken.conns.size == 0);
+    agent.close();
+});
+
+test("close() during connect stops the agent trying further nodes", async () => {
+    const slow = new FakeNode();
+    const next = new FakeNode();
+    let opening;
+    const factory = nodes_factory({ "pan://slow": slow, "pan://next": next });
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        urls: ["pan://slow", "pan://next"],
+        transport: (url) => {
+            const transport = factory(url);
+            if (url == "pan://slow") {
+                const open = transport.open.bind(transport);
+                transport.open = () => new Promise((resolve) => (opening = resolve)).then(open);
+            }
+            return transport;
+        },
+        token_provider: () => "token",
+    });
+    const session = agent.open_session();
+    await until(() => opening);
+    agent.close();
+    opening();
+    await assert.rejects(session, /closed/);
+    assert.equal(agent.state, "DISCONNECTED");
+    await until(() => slow.conns.size == 0);
+    assert.equal(next.conns.size, 0);
+    assert.equal(next.control("helo").length, 0);
+});
+
+test("authenticate() rejects with the node's reason", async () => {
+    const node = new FakeNode({ reject_auth: true });
+    const agent = new PanAgent({ app_id: APP_ID, transport: node.factory() });
+    await agent.connect();
+    await agent.when("CONNECTED_UNTRUSTED");
+    await assert.rejects(agent.authenticate({ token: "nope" }), /not welcome/);
+    assert.equal(agent.state, "CONNECTED_UNTRUSTED");
+    agent.close();
+});
+
+test("state changes follow the transition table and are announced", async () => {
+    const node = new FakeNode();
+    const agent = new PanAgent({ app_id: APP_ID, transport: node.factory(), token_provider: () => "token" });
+    const seen = [];
+    agent.on("state_change", ({ from, to }) => seen.push(from + ">" + to));
+    await agent.open_session();
+    agent.close();
+    assert.deepEqual(seen, [
+        "DISCONNECTED>CONNECTING",
+        "CONNECTING>CONNECTED_UNTRUSTED",
+        "CONNECTED_UNTRUSTED>AUTHENTICATING",
+        "AUTHENTICATING>AUTHENTICATED",
+        "AUTHENTICATED>DISCONNECTED",
+    ]);
+});
+
+test("when() times out after timeout_ms and rejects at once once closed", async () => {
+    const node = new FakeNode();
+    const agent = new PanAgent({ app_id: APP_ID, transport: node.factory(), token_provider: () => "token" });
+    await assert.rejects(agent.when("AUTHENTICATED", { timeout_ms: 20 }), /Timed out waiting for state AUTHENTICATED/);
+    await agent.open_session();
+    agent.close();
+    await assert.rejects(agent.when("AUTHENTICATED"), /Agent closed/);
+    assert.equal(await agent.when("DISCONNECTED"), "DISCONNECTED");
+});
+
+test("a silent connection is given up as dead and reconnected", async () => {
+    const node = new FakeNode({ silent: (p) => p.msg_type == "ping" });
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        transport: node.factory(),
+        token_provider: () => "token",
+        reconnect: { initial_delay_ms: 5, jitter: 0 },
+        keepalive: { interval_ms: 20, timeout_ms: 50 },
+    });
+    await agent.open_session();
+    await agent.waitFor("connection_dead", { timeout: 2000 });
+    await agent.waitFor("reconnected", { timeout: 2000 });
+    assert.equal(agent.get_stats().errors.keepalive_timeouts, 1);
+    agent.close();
+});
+
+test("credentials are renewed ahead of expiry, without flooding the node", async () => {
+    const node = new FakeNode({ helo: { features: ["reauth"] } });
+    const session = async (expires_in, reauth) => {
+        const agent = new PanAgent({
+            app_id: APP_ID,
+            transport: node.factory(),
+            token_provider: () => ({ token: "token", expires_at: Date.now() + expires_in }),
+            reauth,
+        });
+        await agent.open_session();
+        return agent;
+    };
+    const auths = () => node.control("auth").length;
+
+    const soon = await session(200, { lead_ms: 100, min_delay_ms: 10 });
+    await soon.waitFor("reauthenticated", { timeout: 1000 });
+    soon.close();
+
+    // far enough out to overflow a timer
+    let before = auths();
+    const later = await session(30 * 24 * 3600 * 1000);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(auths(), before + 1);
+    later.close();
+
+    // already expired: renewed at most every min_delay_ms
+    before = auths();
+    const expired = await session(-1000, { min_delay_ms: 50 });
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    assert.ok(auths() - before <= 3);
+    expired.close();
+});
+
+test("a join in flight when the connection drops fails, and is sent again after reconnecting", async () => {
+    let answer_joins = false;
+    const node = new FakeNode({ silent: (p) => p.msg_type == "join_group" && !answer_joins });
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        transport: node.factory(),
+        token_provider: () => "token",
+        reconnect: { initial_delay_ms: 5, jitter: 0 },
+    });
+    await agent.open_session();
+    const joined = agent.join_group_async("room");
+    await until(() => node.control("join_group").length == 1);
+
+    answer_joins = true;
+    node.drop_all();
+    await assert.rejects(joined, /Connection lost/);
+    await agent.waitFor("reconnected", { timeout: 2000 });
+    await until(() => node.control("join_group").length == 2);
+    await agent.join_group_async("room");
+    agent.close();
+});
+
+test("the preferred encoding is used only once the node advertises it", async () => {
+    const speaks_binary = new FakeNode({ helo: { encodings: [1, 2] } });
+    const agent = await session(speaks_binary, { encoding: "binary" });
+    assert.equal(agent.encoding, 2);
+    assert.deepEqual(speaks_binary.control("helo")[0].payload.encodings, [2, 1]);
+    await agent.join_group_async("room");
+    const stats = agent.get_stats();
+    assert.ok(stats.msgs_out_by_encoding.binary > 0);
+    agent.close();
+
+    const json_only = new FakeNode();
+    const fallback = await session(json_only, { encoding: "binary" });
+    assert.equal(fallback.encoding, 1);
+    await fallback.join_group_async("room");
+    assert.equal(fallback.get_stats().msgs_out_by_encoding.binary, 0);
+    assert.ok(fallback.get_stats().msgs_out_by_encoding.json > 0);
+    fallback.close();
+});
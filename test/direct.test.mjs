@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, until } from "./helpers/fake-node.mjs";
+
+test("direct messages are dispatched to handlers by type", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const to_b = { node_id: b.node_id, conn_id: b.conn_id };
+    const pings = [];
+    const logs = [];
+    const all = [];
+    const from_a = [];
+    const on_ping = (e) => pings.push(e);
+    b.on_direct("ping", on_ping);
+    b.on_direct("log", (e) => logs.push(e.payload), { codec: "text" });
+    b.on("direct_message", (msg) => all.push(msg));
+    b.peer({ node_id: a.node_id, conn_id: a.conn_id }).on_direct("ping", (e) => from_a.push(e.payload));
+
+    a.send_direct(to_b, "ping", { n: 1 });
+    a.send_direct(to_b, "log", "plain text", { codec: "text" });
+    await until(() => pings.length == 1 && logs.length == 1);
+    assert.deepEqual(pings[0].payload, { n: 1 });
+    assert.deepEqual(pings[0].from, { node_id: a.node_id, conn_id: a.conn_id });
+    assert.equal(pings[0].peer, b.peer(pings[0].from));
+    assert.deepEqual(from_a, [{ n: 1 }]);
+    assert.deepEqual(logs, ["plain text"]);
+
+    b.off_direct("ping", on_ping);
+    a.send_direct(to_b, "ping", { n: 2 });
+    await until(() => all.length == 3);
+    assert.equal(pings.length, 1);
+    assert.deepEqual(from_a, [{ n: 1 }, { n: 2 }]);
+    a.close();
+    b.close();
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { Reassembler, split_payload } from "../pan-fragment.js";
+import { sleep, until } from "./helpers/fake-node.mjs";
+
+test("an abandoned transfer times out without another fragment arriving", async () => {
+    const dropped = [];
+    const reassembler = new Reassembler({ timeout_ms: 20, on_drop: (transfer, reason) => dropped.push(reason) });
+    const [first] = split_payload(new Uint8Array(100), 60, randomUUID());
+    assert.equal(reassembler.add("sender", first), null);
+    await until(() => dropped.length == 1);
+    assert.deepEqual(dropped, ["timeout"]);
+    assert.equal(reassembler.transfers.size, 0);
+    assert.equal(reassembler.total_bytes, 0);
+});
+
+test("a completed transfer doesn't time out afterwards", async () => {
+    const dropped = [];
+    const reassembler = new Reassembler({ timeout_ms: 20, on_drop: (transfer, reason) => dropped.push(reason) });
+    const payload = Uint8Array.from({ length: 100 }, (_, i) => i);
+    let whole = null;
+    for (const fragment of split_payload(payload, 60, randomUUID())) {
+        whole = reassembler.add("sender", fragment);
+    }
+    assert.deepEqual([...whole.payload], [...payload]);
+    await sleep(50);
+    assert.deepEqual(dropped, []);
+});
@@ -0,0 +1,170 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PanAgent, { peer_key } from "../pan-agent-node.js";
+import { FakeNode, APP_ID, session, sleep, until } from "./helpers/fake-node.mjs";
+
+test("join_group_async resolves once the node confirms, and broadcasts reach members", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    const group = await b.join_group_async("room", { chat: (e) => got.push(e.payload) });
+    assert.equal(node.control("join_group").length, 1);
+
+    (await a.join_group_async("room")).send("chat", { text: "hi" });
+    await until(() => got.length == 1);
+    assert.deepEqual(got, [{ text: "hi" }]);
+
+    await group.leave();
+    assert.equal(node.control("leave_group").length, 1);
+    a.close();
+    b.close();
+});
+
+test("pending joins reject when the agent closes", async () => {
+    const node = new FakeNode({ silent: (p) => p.msg_type == "join_group" });
+    const agent = await session(node);
+    const joined = agent.join_group_async("room");
+    agent.close();
+    await assert.rejects(joined, /Agent closed/);
+});
+
+test("join_group before authenticating names the state it needs", () => {
+    const agent = new PanAgent({ app_id: APP_ID, transport: new FakeNode().factory() });
+    assert.throws(() => agent.join_group("room"), /join_group\(\) requires state AUTHENTICATED, but the agent is DISCONNECTED/);
+});
+
+test("payloads too large for one packet are fragmented and reassembled", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("room", { blob: (e) => got.push(e.payload) });
+    const text = "x".repeat(20000);
+    (await a.join_group_async("room")).send("blob", { text });
+    await until(() => got.length == 1);
+    assert.equal(got[0].text, text);
+    assert.ok(node.received.filter((m) => m.type == "broadcast").length > 1);
+    a.close();
+    b.close();
+});
+
+test("with an outbound queue, messages sent before authenticating go out after", async () => {
+    const node = new FakeNode();
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("room", { chat: (e) => got.push(e.payload.n) });
+
+    const a = new PanAgent({ app_id: APP_ID, transport: node.factory(), token_provider: () => "token", outbound_queue: true });
+    const group = new (await import("../pan-agent.js")).PanGroup({ agent: a, name: "room", namespace: APP_ID });
+    const sent = group.send_async("chat", { n: 1 });
+    group.send("chat", { n: 2 });
+    await a.open_session();
+    await sent;
+    await until(() => got.length == 2);
+    assert.deepEqual(got, [1, 2]);
+    a.close();
+    b.close();
+});
+
+test("rate limits hold messages past the burst and send them in order", async () => {
+    const node = new FakeNode();
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("room", { chat: (e) => got.push(e.payload.n) });
+
+    const a = await session(node, { rate_limit: { rate: 50, burst: 2 } });
+    const limited = [];
+    a.on("rate_limited", (e) => limited.push(e.action));
+    const group = await a.join_group_async("room");
+    for (let n = 1; n <= 4; n++) group.send("chat", { n });
+    assert.deepEqual(limited, ["queued", "queued"]);
+    await until(() => got.length == 4);
+    assert.deepEqual(got, [1, 2, 3, 4]);
+
+    a.close();
+    b.close();
+});
+
+test("the throw rate limit policy makes send() throw", async () => {
+    const node = new FakeNode();
+    const agent = await session(node);
+    const group = await agent.join_group_async("room");
+    group.set_message_rate_limit("chat", { rate: 1, burst: 1, policy: "throw" });
+    group.send("chat", { n: 1 });
+    assert.throws(() => group.send("chat", { n: 2 }));
+    agent.close();
+});
+
+test("peers remembered from direct messages are evicted beyond max_peers", async () => {
+    const node = new FakeNode();
+    const agent = await session(node, { max_peers: 2 });
+    const asked = agent.peer({ node_id: "n0", conn_id: "c0" });
+    const senders = [await session(node), await session(node), await session(node)];
+    const got = [];
+    agent.on_direct("hello", (e) => got.push(e.peer.id));
+    for (const sender of senders) {
+        sender.send_direct({ node_id: agent.node_id, conn_id: agent.conn_id }, "hello", {});
+        await until(() => got.length == senders.indexOf(sender) + 1);
+    }
+    assert.deepEqual([...agent.peers.keys()], [asked.id, peer_key(senders[2])]);
+    assert.equal(agent.peer({ node_id: "n0", conn_id: "c0" }), asked);
+    agent.close();
+    senders.forEach((sender) => sender.close());
+});
+
+test("joining while a leave is in flight keeps the group", async () => {
+    const node = new FakeNode();
+    const agent = await session(node);
+    const got = [];
+    const group = await agent.join_group_async("room", { chat: (e) => got.push(e.payload) });
+    const left = group.leave();
+    const again = await agent.join_group_async("room");
+    await left;
+    assert.equal(again, group);
+    assert.equal(agent.groups.size, 1);
+
+    const other = await session(node);
+    (await other.join_group_async("room")).send("chat", { n: 1 });
+    await until(() => got.length == 1);
+    agent.close();
+    other.close();
+});
+
+test("leave() and update_group_membership() reject rather than throw when disconnected", async () => {
+    const node = new FakeNode();
+    const agent = await session(node);
+    const group = await agent.join_group_async("room");
+    agent.close();
+    const left = group.leave();
+    assert.ok(left instanceof Promise);
+    await assert.rejects(left, /leave\(\) requires state AUTHENTICATED, but the agent is DISCONNECTED/);
+    await assert.rejects(agent.leave_group("room"), /requires state AUTHENTICATED/);
+    await assert.rejects(group.update_group_membership(), /update_group_membership\(\) requires state AUTHENTICATED/);
+});
+
+test("a message delivered twice reaches handlers once, unless the group opts out of dedup", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node, { dedup: { window_ms: 100 } });
+    const room_got = [];
+    const raw_got = [];
+    await b.join_group_async("room", { chat: (e) => room_got.push(e.payload) });
+    await b.join_group_async("raw", { chat: (e) => raw_got.push(e.payload) }, { dedup: false });
+    (await a.join_group_async("room")).send("chat", "once");
+    (await a.join_group_async("raw")).send("chat", "every copy");
+    await until(() => room_got.length == 1 && raw_got.length == 1);
+
+    const broadcasts = node.received.filter((m) => m.type == "broadcast");
+    for (const msg of broadcasts) node.route(msg);
+    await until(() => raw_got.length == 2);
+    assert.equal(room_got.length, 1);
+    assert.equal(b.get_stats().msgs_in_duplicates, 2);
+
+    // past the window the same msg_id is new again
+    await sleep(150);
+    node.route(broadcasts[0]);
+    await until(() => room_got.length == 2);
+    a.close();
+    b.close();
+});
@@ -0,0 +1,164 @@
+// fake-node.mjs
+//
+// An in-process PAN node for tests. Agents reach it over LoopbackTransport
+// pairs, so no sockets are involved:
+//
+//   const node = new FakeNode();
+//   const agent = new PanAgent({ app_id, transport: node.factory(), token_provider });
+//
+// It answers helo, auth, join_group, leave_group and ping, and routes
+// broadcasts and direct messages between the agents attached to it.
+// Everything agents send is kept in `received`, control payloads decoded.
+// session(node, opts) gives an agent already authenticated with it.
+//
+
+import { randomUUID } from "node:crypto";
+import { encodePacket, decodePacket } from "@ionzero/pan-util";
+import { LoopbackTransport } from "../../pan-transport.js";
+import PanAgent from "../../pan-agent-node.js";
+
+const text_encoder = new TextEncoder();
+const text_decoder = new TextDecoder();
+
+export const APP_ID = "9a2c2c88-6c5f-4e57-b0b1-0f7fd92e7c3c";
+
+export class FakeNode {
+    /**
+     * opts:
+     *   reject_auth  answer every auth with auth.failed
+     *   helo         extra fields for our helo payload (features, ...)
+     *   silent       a function (payload) => true to leave a control
+     *                message unanswered
+     */
+    constructor(opts = {}) {
+        this.opts = opts;
+        this.node_id = opts.node_id || randomUUID();
+        this.urn = "urn:node:" + this.node_id;
+        this.conns = new Set();
+        this.received = [];
+    }
+
+    // A transport factory for PanAgent's `transport` option
+    factory() {
+        return () => this.transport();
+    }
+
+    transport() {
+        const [agent_end, node_end] = LoopbackTransport.pair();
+        const conn = { end: node_end, conn_id: randomUUID(), authenticated: false, groups: new Map() };
+        node_end.open();
+        node_end.on("message", (data) => this.handle(conn, decodePacket(data)));
+        node_end.on("close", () => this.conns.delete(conn));
+        this.conns.add(conn);
+        return agent_end;
+    }
+
+    // control messages agents have sent, by msg_type
+    control(msg_type) {
+        return this.received.filter((m) => m.type == "control" && m.payload.msg_type == msg_type);
+    }
+
+    // drop every connection, as a node restart would
+    drop_all(code = 1006, reason = "node restart") {
+        for (const conn of [...this.conns]) conn.end.close(code, reason);
+    }
+
+    send_control(conn, payload) {
+        conn.end.send(encodePacket({
+            type: "control",
+            msg_id: randomUUID(),
+            ttl: 1,
+            version: 1,
+            from: { node_id: this.node_id, conn_id: this.node_id },
+            to: {},
+            payload: text_encoder.encode(JSON.stringify(payload)),
+        }));
+    }
+
+    handle(conn, msg) {
+        if (msg.type == "control") {
+            msg.payload = JSON.parse(text_decoder.decode(msg.payload));
+            this.received.push(msg);
+            if (this.opts.silent?.(msg.payload)) return;
+            this.handle_control(conn, msg.payload);
+            return;
+        }
+        this.received.push(msg);
+        if (conn.authenticated) this.route(msg);
+    }
+
+    // Pass a broadcast or direct message on to the agents it is for.
+    // Tests call it again with a received message to deliver it twice.
+    route(msg) {
+        // skip connections already closing on the agent's side
+        const conns = [...this.conns].filter((other) => other.end.is_open());
+        if (msg.type == "broadcast") {
+            for (const other of conns) {
+                if (other.groups.get(msg.to.group_id)?.has(msg.to.message_type)) {
+                    other.end.send(encodePacket(msg));
+                }
+            }
+        } else if (msg.type == "direct") {
+            for (const other of conns) {
+                if (other.conn_id == msg.to.conn_id) other.end.send(encodePacket(msg));
+            }
+        }
+    }
+
+    handle_control(conn, payload) {
+        switch (payload.msg_type) {
+            case "helo":
+                this.send_control(conn, { msg_type: "helo", i_am: this.urn, encodings: [1], ...this.opts.helo });
+                break;
+            case "auth":
+                if (this.opts.reject_auth) {
+                    this.send_control(conn, { msg_type: "auth.failed", message: "not welcome" });
+                    break;
+                }
+                conn.authenticated = true;
+                this.send_control(conn, { msg_type: "auth.ok", node_id: this.node_id, conn_id: conn.conn_id });
+                break;
+            case "join_group":
+                conn.groups.set(payload.group, new Set(payload.message_types));
+                this.send_control(conn, { msg_type: "join_group_reply", group: payload.group });
+                break;
+            case "leave_group":
+                conn.groups.delete(payload.group);
+                this.send_control(conn, { msg_type: "leave_group_reply", group: payload.group });
+                break;
+            case "ping":
+                this.send_control(conn, { msg_type: "pong", ts: payload.ts });
+                break;
+        }
+    }
+}
+
+// A transport factory for several nodes, by URL. URLs without a node
+// can't be reached.
+export function nodes_factory(nodes) {
+    return (url) => {
+        const node = nodes[url];
+        if (!node) throw new Error("unreachable: " + url);
+        return node.transport();
+    };
+}
+
+// An agent with a session open on node
+export async function session(node, opts = {}) {
+    const agent = new PanAgent({ app_id: APP_ID, transport: node.factory(), token_provider: () => "token", ...opts });
+    await agent.open_session();
+    return agent;
+}
+
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Resolve once check() is true, polling every few ms
+export async function until(check, timeout_ms = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout_ms) throw new Error("Timed out waiting for condition");
+        await sleep(5);
+    }
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, sleep, until } from "./helpers/fake-node.mjs";
+
+test("middleware runs group then agent outbound, agent then group inbound, and can drop", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const order = [];
+    const got = [];
+    const inbox = await b.join_group_async("room", { chat: (e) => got.push(e.payload), secret: (e) => got.push(e.payload) });
+    const room = await a.join_group_async("room");
+    room.use_outbound((msg, { group, direction }) => {
+        assert.equal(group, room);
+        order.push("group " + direction);
+    });
+    a.use_outbound(() => { order.push("agent out"); });
+    b.use_inbound((msg) => {
+        order.push("agent in");
+        if (msg.to.message_type == inbox.get_message_type_id("secret")) return false;
+    });
+    inbox.use_inbound(() => { order.push("group in"); });
+
+    room.send("secret", "dropped");
+    room.send("chat", "kept");
+    await until(() => got.length == 1);
+    assert.deepEqual(got, ["kept"]);
+    assert.deepEqual(order, ["group out", "agent out", "group out", "agent out", "agent in", "agent in", "group in"]);
+    a.close();
+    b.close();
+});
+
+test("async middleware keeps messages in order, and can replace or fail them", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    const failures = [];
+    const inbox = await b.join_group_async("room", { chat: (e) => got.push(e.payload) });
+    const room = await a.join_group_async("room");
+    let delay = 40;
+    room.use_outbound(async () => {
+        await sleep(delay);
+        delay = 0;
+    });
+    inbox.use_inbound((msg) => {
+        const text = new TextDecoder().decode(msg.payload);
+        if (text == '"fail"') throw new Error("middleware broke");
+        if (text == '"swap"') return { ...msg, payload: new TextEncoder().encode('"swapped"') };
+    });
+    b.on("middleware_error", (e) => failures.push(e));
+
+    for (const payload of [1, 2, "swap", "fail", 3]) room.send("chat", payload);
+    await until(() => got.length == 4 && failures.length == 1);
+    assert.deepEqual(got, [1, 2, "swapped", 3]);
+    assert.equal(failures[0].direction, "in");
+    assert.match(failures[0].error.message, /middleware broke/);
+    a.close();
+    b.close();
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, until } from "./helpers/fake-node.mjs";
+
+test("closing announces leaving even when middleware makes the send async", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const opts = { presence: { interval_ms: 60000 } };
+    const watching = await b.join_group_async("room", {}, opts);
+    const joined = [];
+    const left = [];
+    watching.on("peer_joined", (e) => joined.push(e.peer));
+    watching.on("peer_left", (e) => left.push(e.reason));
+    a.use_outbound(async (msg) => msg);
+    await a.join_group_async("room", {}, opts);
+    await until(() => joined.length == 1);
+
+    const failed = [];
+    a.on("send_failed", (e) => failed.push(e.error.message));
+    await a.close();
+    await until(() => left.length == 1);
+    assert.deepEqual(left, ["left"]);
+    assert.deepEqual(failed, []);
+    b.close();
+});
+
+test("metadata changes are announced, and silent peers expire", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const opts = { presence: { interval_ms: 20, missed_heartbeats: 2 } };
+    const watching = await b.join_group_async("room", {}, opts);
+    const joined = [];
+    const updated = [];
+    const left = [];
+    watching.on("peer_joined", (e) => joined.push(e.peer));
+    watching.on("peer_updated", (e) => updated.push(e));
+    watching.on("peer_left", (e) => left.push(e));
+    const room = await a.join_group_async("room", {}, { presence: { ...opts.presence, metadata: { name: "alice" } } });
+    await until(() => joined.length == 1);
+    assert.deepEqual(joined[0].metadata, { name: "alice" });
+
+    room.set_presence_metadata({ name: "alice", text: "away" });
+    await until(() => updated.length == 1);
+    assert.deepEqual(updated[0].previous_metadata, { name: "alice" });
+    assert.deepEqual(updated[0].peer.metadata, { name: "alice", text: "away" });
+
+    // stop beating without saying goodbye
+    room.disable_presence({ announce: false });
+    await until(() => left.length == 1);
+    assert.equal(left[0].reason, "expired");
+    assert.equal(left[0].peer, joined[0]);
+    assert.equal(watching.peers.size, 0);
+    a.close();
+    b.close();
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PanAgent from "../pan-agent-node.js";
+import { replay, parse_record } from "../pan-recorder.js";
+import { FakeNode, APP_ID, session, until } from "./helpers/fake-node.mjs";
+
+test("a recording replays into the group handlers of a replay agent", async () => {
+    const node = new FakeNode();
+    const recording = [];
+    const live = await session(node, { record: (line) => recording.push(line) });
+    const live_got = [];
+    await live.join_group_async("room", { chat: (e) => live_got.push(e.payload) });
+    const other = await session(node);
+    const room = await other.join_group_async("room");
+    room.send("chat", { n: 1 });
+    room.send("chat", { n: 2 });
+    await until(() => live_got.length == 2);
+    live.close();
+    other.close();
+
+    const sent = [];
+    const agent = new PanAgent({ app_id: APP_ID, replay: true, record: (line) => sent.push(parse_record(line)) });
+    await assert.rejects(agent.connect(), /replay agent doesn't connect/);
+    const got = [];
+    const group = agent.join_group("room", {
+        chat: (e) => {
+            got.push(e.payload);
+            group.send("echo", e.payload);
+        },
+    });
+    const fed = await replay(agent, recording, { speed: Infinity });
+    assert.equal(fed, recording.map(parse_record).filter((r) => r.dir == "in").length);
+    assert.equal(agent.state, "AUTHENTICATED");
+    assert.equal(agent.node_id, live.node_id);
+    await until(() => got.length == 2);
+    assert.deepEqual(got, live_got);
+
+    // what the handlers sent went nowhere, but was recorded
+    await until(() => sent.filter((r) => r.packet.type == "broadcast").length == 2);
+    assert.ok(sent.every((r) => r.dir == "out"));
+    agent.close();
+});
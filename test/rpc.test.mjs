@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PanRpc } from "../pan-rpc.js";
+import { FakeNode, session } from "./helpers/fake-node.mjs";
+
+test("rpc calls resolve with the result and time out with timeout or timeout_ms", async () => {
+    const node = new FakeNode();
+    const server = await session(node);
+    const client = await session(node);
+    const server_rpc = new PanRpc(server);
+    const client_rpc = new PanRpc(client);
+    server_rpc.register("add", ({ a, b }) => a + b);
+    server_rpc.register("stall", (params, { signal }) => new Promise((resolve) => signal.addEventListener("abort", resolve)));
+
+    const to = { node_id: server.node_id, conn_id: server.conn_id };
+    assert.equal(await client_rpc.call(to, "add", { a: 1, b: 2 }), 3);
+    for (const opts of [{ timeout: 30 }, { timeout_ms: 30 }]) {
+        const started = Date.now();
+        await assert.rejects(client_rpc.call(to, "stall", {}, opts), (e) => e.code == "timeout");
+        assert.ok(Date.now() - started < 1000);
+    }
+    client_rpc.close();
+    server_rpc.close();
+    client.close();
+    server.close();
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, until } from "./helpers/fake-node.mjs";
+
+const chat_schema = {
+    type: "object",
+    required: ["text"],
+    properties: { text: { type: "string", maxLength: 10 } },
+    additionalProperties: false,
+};
+
+test("payloads that fail a schema are refused on send and dropped on receipt", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    const invalid = [];
+    const room = await b.join_group_async("room", { chat: (e) => got.push(e.payload) }, { schemas: { chat: chat_schema } });
+    b.on("invalid_message", (e) => invalid.push(e));
+
+    assert.throws(() => room.send("chat", { text: 42 }), (err) => err.errors.length > 0);
+    room.set_message_schema("reading", (v) => typeof v == "number" || "expected a number");
+    assert.throws(() => room.send("reading", "warm"), /expected a number/);
+    assert.equal(b.get_stats().msgs_out_invalid, 2);
+
+    // the sender knows no schema, so only the receiver catches it
+    const sender = await a.join_group_async("room");
+    sender.send("chat", { text: "far too long for this" });
+    sender.send("chat", { text: "ok" });
+    await until(() => got.length == 1 && invalid.length == 1);
+    assert.deepEqual(got, [{ text: "ok" }]);
+    assert.deepEqual(invalid[0].payload, { text: "far too long for this" });
+    assert.ok(invalid[0].errors.length > 0);
+    assert.equal(b.get_stats().msgs_in_invalid, 1);
+    a.close();
+    b.close();
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PanAgent from "../pan-agent-node.js";
+import { FakeNode, APP_ID, session, until } from "./helpers/fake-node.mjs";
+
+// a toy signature scheme: the data reversed
+const signing = (urn) => ({
+    signer: { urn, sign: (data) => Uint8Array.from(data).reverse() },
+    verifier: (data, signature) => Uint8Array.from(data).reverse().every((b, i) => b === signature[i]),
+});
+
+test("encrypted groups deliver to key holders and hide payloads from the node", async () => {
+    const node = new FakeNode();
+    const encryption = { key_id: "k1", secret: "correct horse battery staple" };
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("vault", { chat: (e) => got.push(e.payload.text) }, { encryption });
+    const group = await a.join_group_async("vault", {}, { encryption });
+    group.send("chat", { text: "secret" });
+    await until(() => got.length == 1);
+    assert.deepEqual(got, ["secret"]);
+
+    const wire = node.received.find((m) => m.type == "broadcast");
+    assert.ok(!new TextDecoder().decode(wire.payload).includes("secret"));
+    a.close();
+    b.close();
+});
+
+test("closing announces leaving in encrypted presence groups before the transport goes", async () => {
+    const node = new FakeNode();
+    const encryption = { key_id: "k1", secret: "correct horse battery staple" };
+    const a = await session(node);
+    const b = await session(node);
+    const opts = { encryption, presence: { interval_ms: 60000 } };
+    const watching = await b.join_group_async("vault", {}, opts);
+    const joined = [];
+    const left = [];
+    watching.on("peer_joined", (e) => joined.push(e.peer));
+    watching.on("peer_left", (e) => left.push(e.reason));
+    await a.join_group_async("vault", {}, opts);
+    await until(() => joined.length == 1);
+
+    const failed = [];
+    a.on("send_failed", (e) => failed.push(e.error.message));
+    await a.close();
+    assert.equal(a.state, "DISCONNECTED");
+    await until(() => left.length == 1);
+    assert.deepEqual(left, ["left"]);
+    assert.deepEqual(failed, []);
+    b.close();
+});
+
+test("signed messages are delivered with the verified sender", async () => {
+    const node = new FakeNode();
+    const a = await session(node, { signing: signing("urn:test:alice") });
+    const b = await session(node, { signing: signing("urn:test:bob") });
+    const got = [];
+    await b.join_group_async("room", { chat: (e) => got.push([e.sender, e.verified, e.payload.text]) });
+    (await a.join_group_async("room")).send("chat", { text: "signed" });
+    await until(() => got.length == 1);
+    assert.deepEqual(got, [["urn:test:alice", true, "signed"]]);
+    a.close();
+    b.close();
+});
+
+test("unsigned messages are dropped by a verifying agent", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node, { signing: { verifier: () => true } });
+    const got = [];
+    const unverified = [];
+    b.on("unverified_message", (e) => unverified.push(e.reason));
+    await b.join_group_async("room", { chat: (e) => got.push(e.payload) });
+    (await a.join_group_async("room")).send("chat", { text: "anonymous" });
+    await until(() => unverified.length == 1);
+    assert.deepEqual(got, []);
+    a.close();
+    b.close();
+});
+
+test("an untrusted node is closed on before any credentials are sent", async () => {
+    const node = new FakeNode();
+    const agent = new PanAgent({
+        app_id: APP_ID,
+        transport: node.factory(),
+        token_provider: () => "token",
+        trust: { allow: ["urn:node:someone-else"] },
+    });
+    const rejected = [];
+    agent.on("trust_rejected", (e) => rejected.push(e.urn));
+    await assert.rejects(agent.open_session(), /Untrusted node/);
+    assert.deepEqual(rejected, [node.urn]);
+    assert.equal(node.control("auth").length, 0);
+    assert.equal(agent.state, "DISCONNECTED");
+});
+
+test("a pinned node identity that changes is rejected", async () => {
+    const pin = new Map();
+    const first = new FakeNode();
+    const agent = new PanAgent({ app_id: APP_ID, transport: first.factory(), token_provider: () => "token", trust: { pin } });
+    await agent.open_session();
+    agent.close();
+    assert.equal(pin.get(""), first.urn);
+
+    const impostor = new FakeNode();
+    const again = new PanAgent({ app_id: APP_ID, transport: impostor.factory(), token_provider: () => "token", trust: { pin } });
+    await assert.rejects(again.open_session(), /identity changed/);
+    assert.equal(impostor.control("auth").length, 0);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeNode, session, until } from "./helpers/fake-node.mjs";
+
+test("broadcasts are counted by group and message type, and render for Prometheus", async () => {
+    const node = new FakeNode();
+    const a = await session(node);
+    const b = await session(node);
+    const got = [];
+    await b.join_group_async("room", { chat: (e) => got.push(e), ping: (e) => got.push(e) });
+    const room = await a.join_group_async("room");
+    room.send("chat", { text: "one" });
+    room.send("chat", { text: "two" });
+    room.send("ping", 1);
+    await until(() => got.length == 3);
+
+    const group_id = room.get_id();
+    const chat_id = room.get_message_type_id("chat");
+    const sent = a.get_stats().by_group[group_id];
+    assert.equal(sent.name, "room");
+    assert.equal(sent.msgs_out, 3);
+    assert.ok(sent.bytes_out > 0);
+    assert.equal(sent.by_message_type[chat_id].name, "chat");
+    assert.equal(sent.by_message_type[chat_id].msgs_out, 2);
+    const received = b.get_stats().by_group[group_id];
+    assert.equal(received.msgs_in, 3);
+    assert.equal(received.by_message_type[chat_id].msgs_in, 2);
+    assert.equal(received.by_message_type[chat_id].bytes_in, sent.by_message_type[chat_id].bytes_out);
+
+    const text = a.get_stats_prometheus({ prefix: "test_agent" });
+    assert.match(text, /^# TYPE test_agent_group_messages_total counter$/m);
+    assert.ok(text.includes(`test_agent_message_type_messages_total{direction="out",group_id="${group_id}",group="room",message_type_id="${chat_id}",message_type="chat"} 2\n`));
+    assert.ok(text.split("\n").every((line) => line == "" || line.startsWith("# ") || line.startsWith("test_agent_")));
+    a.close();
+    b.close();
+});
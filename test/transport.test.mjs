@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoopbackTransport } from "../pan-transport.js";
+import { until } from "./helpers/fake-node.mjs";
+
+test("loopback pairs deliver in order and close both ends together", async () => {
+    const [a, b] = LoopbackTransport.pair();
+    await a.open();
+    await b.open();
+    const got = [];
+    b.on("message", (data) => got.push(new TextDecoder().decode(data)));
+    a.send(new TextEncoder().encode("one"));
+    a.send(new TextEncoder().encode("two"));
+    await until(() => got.length == 2);
+    assert.deepEqual(got, ["one", "two"]);
+
+    const closed = [];
+    a.on("close", (e) => closed.push("a:" + e.code));
+    b.on("close", (e) => closed.push("b:" + e.code));
+    a.close(4000, "done");
+    await until(() => closed.length == 2);
+    assert.deepEqual(closed.sort(), ["a:4000", "b:4000"]);
+    assert.equal(b.is_open(), false);
+    assert.throws(() => a.send(new Uint8Array(1)), /not open/);
+});